@@ -0,0 +1,315 @@
+// Builds complete Vim commands from the vim adapter's events. Keys arrive one
+// by one through `vim-keypress`; `vim-command-done` marks the end of a command.
+// Insert-mode and visual-mode sessions stay open until vim leaves that mode, so
+// "ciwfoo<Esc>" and "vjd" are recorded as single commands. Ex command lines and
+// searches typed into vim's prompt (":s/a/b/g", "/foo") close when submitted.
+class CommandAssembler {
+    constructor() {
+        this.entries = [];
+        this.enteredInsertMode = false;
+        this.promptOpen = false;
+    }
+
+    push(key) {
+        this.entries.push({ key: key, typed: false });
+    }
+
+    pushText(key) {
+        // Text typed in insert mode: part of the command, but not a vim key
+        this.entries.push({ key: key, typed: true });
+    }
+
+    expand(count, keys) {
+        // A mapping fired: the last `count` keys, which typed it, give way
+        // to the keys it stands for
+        this.entries.splice(Math.max(0, this.entries.length - count));
+        keys.forEach(key => this.push(key));
+    }
+
+    openPrompt() {
+        // The : / or ? that opened the prompt has already been pushed
+        this.promptOpen = true;
+    }
+
+    closePrompt(value) {
+        // Record the submitted line as keys so parse() sees the whole command
+        VimKeys.split(value).forEach(key => this.push(key));
+        this.push('<CR>');
+        this.promptOpen = false;
+    }
+
+    cancelPrompt() {
+        this.reset();
+    }
+
+    peek() {
+        // The command being typed, parsed as it stands (null when idle)
+        const keys = this.entries.filter(entry => !entry.typed).map(entry => entry.key);
+        return keys.length > 0 ? CommandAssembler.parse(keys) : null;
+    }
+
+    pending() {
+        return this.entries.map(entry => entry.key).join('');
+    }
+
+    pendingSegments() {
+        // The command being typed, split into the parts vim reads it as,
+        // followed by any text typed in insert mode
+        const parts = this.peek();
+        const segments = parts ? CommandAssembler.segments(parts) : [];
+        const text = this.entries.filter(entry => entry.typed).map(entry => entry.key).join('');
+        if (text) segments.push({ part: 'text', text: text });
+        return segments;
+    }
+
+    reset() {
+        this.entries = [];
+        this.enteredInsertMode = false;
+        this.promptOpen = false;
+    }
+
+    finish(vimState) {
+        if (this.entries.length === 0 || this.promptOpen) return null;
+
+        // Keep collecting while vim is still inside an insert or visual session
+        if (vimState && vimState.insertMode) {
+            this.enteredInsertMode = true;
+            return null;
+        }
+        if (vimState && vimState.visualMode) return null;
+
+        const keys = this.entries.filter(entry => !entry.typed).map(entry => entry.key);
+
+        // The <Esc> that ends an insert session is not part of the command itself
+        if (this.enteredInsertMode && keys[keys.length - 1] === '<Esc>') {
+            keys.pop();
+        }
+
+        // A register selection ("a) on its own prefixes the next command
+        if (keys.length === 2 && keys[0] === '"') return null;
+
+        const command = {
+            ...CommandAssembler.parse(keys),
+            sequence: this.pending(),
+            text: this.entries.filter(entry => entry.typed).map(entry => entry.key).join('')
+        };
+        this.reset();
+        return command;
+    }
+
+    static parse(keys) {
+        const parts = {
+            keys: keys,
+            register: null,
+            count: null,
+            operator: null,
+            motionCount: null,
+            motion: null,
+            textObject: null,
+            action: null,
+            visual: null,
+            prompt: null
+        };
+        let i = 0;
+
+        const readCount = () => {
+            let digits = '';
+            // A leading 0 is the "start of line" motion, not a count
+            while (i < keys.length && /^\d$/.test(keys[i]) && !(digits === '' && keys[i] === '0')) {
+                digits += keys[i++];
+            }
+            return digits ? parseInt(digits, 10) : null;
+        };
+
+        if (keys[i] === '"' && keys.length > i + 1) {
+            parts.register = keys[i + 1];
+            i += 2;
+        }
+
+        parts.count = readCount();
+
+        // Ex commands and searches: the prompt key, then the submitted line
+        if (CommandAssembler.PROMPT_KEYS.includes(keys[i])) {
+            const line = keys.slice(i + 1);
+            if (line[line.length - 1] === '<CR>') line.pop();
+            parts.prompt = { type: keys[i], text: line.join('') };
+            return parts;
+        }
+
+        // Visual sessions (vjd, Vy, <C-v>jjI) are a selection followed by
+        // the operator or action that consumes it
+        if (CommandAssembler.VISUAL_KEYS.includes(keys[i])) {
+            parts.visual = keys[i];
+            const selection = keys.slice(i + 1);
+            const lastTwo = selection.slice(-2).join('');
+            const finalKeys = CommandAssembler.OPERATORS.includes(lastTwo) ? 2 : 1;
+            const final = selection.slice(-finalKeys).join('');
+            const motion = selection.slice(0, -finalKeys).join('');
+
+            parts.motion = motion || null;
+            if (CommandAssembler.OPERATORS.includes(final)) {
+                parts.operator = final;
+            } else if (final) {
+                parts.action = final;
+            }
+            return parts;
+        }
+
+        const twoKeys = keys.slice(i, i + 2).join('');
+        if (CommandAssembler.OPERATORS.includes(twoKeys)) {
+            parts.operator = twoKeys;
+            i += 2;
+        } else if (CommandAssembler.OPERATORS.includes(keys[i])) {
+            parts.operator = keys[i];
+            i += 1;
+        }
+
+        const rest = keys.slice(i);
+        if (!parts.operator) {
+            const isMotion = CommandAssembler.MOTIONS.includes(rest[0]) ||
+                CommandAssembler.MOTIONS.includes(rest.slice(0, 2).join(''));
+            if (isMotion) {
+                parts.motion = rest.join('');
+            } else if (rest.length > 0) {
+                parts.action = rest.join('');
+            }
+            return parts;
+        }
+
+        parts.motionCount = readCount();
+        const target = keys.slice(i);
+        const lastOperatorKey = parts.operator.slice(-1);
+
+        if (target.join('') === parts.operator || (target.length === 1 && target[0] === lastOperatorKey)) {
+            // Doubled operator (dd, yy, >>, gUU, gUgU) works on whole lines
+            parts.motion = target.join('');
+        } else if ((target[0] === 'i' || target[0] === 'a') && target.length === 2) {
+            parts.textObject = target.join('');
+        } else if (target.length > 0) {
+            parts.motion = target.join('');
+        }
+
+        return parts;
+    }
+
+    static segments(parts) {
+        // Register, count, operator, motion and so on, in typing order; a
+        // lone " is a register still waiting for its name
+        if (parts.keys.length === 1 && parts.keys[0] === '"') {
+            return [{ part: 'register', text: '"' }];
+        }
+
+        const segments = [];
+        const add = (part, text) => {
+            if (text !== null && text !== undefined && text !== '') {
+                segments.push({ part: part, text: String(text) });
+            }
+        };
+        if (parts.register) add('register', `"${parts.register}`);
+        add('count', parts.count);
+        if (parts.prompt) {
+            add('prompt', `${parts.prompt.type}${parts.prompt.text}`);
+        } else if (parts.visual) {
+            // Until an operator ends it, the selection is all motions
+            const moving = parts.action && CommandAssembler.MOTIONS.includes(parts.action);
+            add('visual', parts.visual);
+            add('motion', moving ? `${parts.motion || ''}${parts.action}` : parts.motion);
+            add('operator', parts.operator);
+            add('action', moving ? null : parts.action);
+        } else {
+            // "ci" is waiting for the object it will change
+            const object = parts.operator && ['i', 'a'].includes(parts.motion);
+            add('operator', parts.operator);
+            add('count', parts.motionCount);
+            add('motion', object ? null : parts.motion);
+            add('textObject', object ? parts.motion : parts.textObject);
+            add('action', parts.action);
+        }
+
+        // Anything parse() couldn't place is shown as typed
+        const typed = parts.keys.join('');
+        return segments.map(segment => segment.text).join('') === typed
+            ? segments
+            : [{ part: 'keys', text: typed }];
+    }
+
+    static exCommandName(line) {
+        // ":%s/a/b/g" -> "substitute"; ranges are skipped and abbreviations
+        // resolve the way vim resolves them (s, su, sub, ... substitute)
+        const match = CommandAssembler.EX_LINE.exec(line);
+        if (!match) return null;
+
+        const typed = match[1];
+        const command = CommandAssembler.EX_COMMANDS.find(entry =>
+            typed.startsWith(entry.shortName) && entry.name.startsWith(typed));
+        return command ? command.name : typed;
+    }
+
+    static usesCommand(parts, requirement) {
+        // Requirements name an ex command (":s"), a search ("/", "?") or a
+        // normal-mode key ("*", "n", "d", "f")
+        if (!parts) return false;
+
+        if (requirement.charAt(0) === ':') {
+            if (!parts.prompt || parts.prompt.type !== ':') return false;
+            return requirement === ':' ||
+                CommandAssembler.exCommandName(parts.prompt.text) === CommandAssembler.exCommandName(requirement.slice(1));
+        }
+        if (CommandAssembler.PROMPT_KEYS.includes(requirement)) {
+            return Boolean(parts.prompt) && parts.prompt.type === requirement;
+        }
+
+        return [parts.operator, parts.motion, parts.action, parts.visual].some(part =>
+            part === requirement || (part && VimKeys.split(part)[0] === requirement));
+    }
+}
+
+CommandAssembler.OPERATORS = ['d', 'c', 'y', '<', '>', '=', 'g~', 'gu', 'gU'];
+
+CommandAssembler.VISUAL_KEYS = ['v', 'V', '<C-v>', '<C-q>'];
+
+CommandAssembler.PROMPT_KEYS = [':', '/', '?'];
+
+// An ex line: optional range (addresses like 3, ., $, %, 'a, /pat/ with +/-
+// offsets, separated by , or ;) followed by the command name
+CommandAssembler.EX_LINE = /^[\s:]*(?:(?:\d+|[.$%]|'[a-zA-Z<>]|\/[^/]*\/|\?[^?]*\?)(?:[+-]\d*)*[,;]?)*\s*([a-zA-Z]+|[&~!<>=])/;
+
+// Ex commands CodeMirror's vim keymap supports, with the shortest
+// abbreviation it accepts (defaultExCommandMap in vim.js)
+CommandAssembler.EX_COMMANDS = [
+    { name: 'colorscheme', shortName: 'colo' },
+    { name: 'map', shortName: 'map' },
+    { name: 'imap', shortName: 'im' },
+    { name: 'nmap', shortName: 'nm' },
+    { name: 'vmap', shortName: 'vm' },
+    { name: 'unmap', shortName: 'unmap' },
+    { name: 'write', shortName: 'w' },
+    { name: 'undo', shortName: 'u' },
+    { name: 'redo', shortName: 'red' },
+    { name: 'set', shortName: 'se' },
+    { name: 'setlocal', shortName: 'setl' },
+    { name: 'setglobal', shortName: 'setg' },
+    { name: 'sort', shortName: 'sor' },
+    { name: 'substitute', shortName: 's' },
+    { name: 'nohlsearch', shortName: 'noh' },
+    { name: 'yank', shortName: 'y' },
+    { name: 'delmarks', shortName: 'delm' },
+    { name: 'registers', shortName: 'reg' },
+    { name: 'vglobal', shortName: 'v' },
+    { name: 'global', shortName: 'g' }
+];
+
+// Keys (or two-key prefixes) that start a motion when used without an operator
+CommandAssembler.MOTIONS = [
+    'h', 'j', 'k', 'l', 'w', 'W', 'b', 'B', 'e', 'E', 'ge', 'gE', 'gj', 'gk',
+    '0', '^', '$', '+', '-', '_', '|', 'G', 'gg', 'H', 'M', 'L',
+    '{', '}', '(', ')', '%', ';', ',', 'n', 'N', 'gn', 'gN',
+    'f', 'F', 't', 'T', '`', '\'', '[', ']',
+    '<Left>', '<Right>', '<Up>', '<Down>', '<Home>', '<End>', '<Space>', '<BS>', '<CR>',
+    '<C-f>', '<C-b>', '<C-d>', '<C-u>', '<C-n>', '<C-p>', '<PageUp>', '<PageDown>'
+];
+
+// Allow Node tooling (tools/validate-exercises.js) to classify commands
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CommandAssembler;
+}
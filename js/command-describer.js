@@ -0,0 +1,466 @@
+// Turns Vim commands into plain-English explanations ("delete 2 words",
+// "change inside quotes"). Commands are decomposed by CommandAssembler.parse()
+// into register, count, operator and motion/text object, and each part is
+// described from the tables below, which follow CodeMirror's vim keymap.
+class CommandDescriber {
+    describe(command) {
+        const parts = typeof command === 'string'
+            ? { ...CommandAssembler.parse(VimKeys.split(command)), sequence: command, text: '' }
+            : command;
+        const sequence = parts.sequence || parts.keys.join('');
+
+        const description = this.describeParts(parts);
+        if (!description) return sequence;
+
+        const typed = parts.text ? ` and type "${parts.text}"` : '';
+        const sentence = description + typed;
+        return sentence.charAt(0).toUpperCase() + sentence.slice(1);
+    }
+
+    describeParts(parts) {
+        const count = (parts.count || 1) * (parts.motionCount || 1);
+        const hasCount = Boolean(parts.count || parts.motionCount);
+
+        if (parts.prompt) {
+            return this.describePrompt(parts.prompt);
+        }
+
+        if (parts.visual) {
+            return this.describeVisual(parts);
+        }
+
+        if (parts.operator) {
+            const operator = CommandDescriber.OPERATORS[parts.operator];
+            const register = this.describeRegister(parts.register, parts.operator === 'y' || parts.operator === 'd' || parts.operator === 'c');
+            let target = null;
+
+            if (parts.textObject) {
+                target = this.describeTextObject(parts.textObject);
+            } else if (parts.motion && this.isDoubledOperator(parts)) {
+                target = count === 1 ? 'the line' : `${count} lines`;
+            } else if (parts.motion) {
+                const motion = this.describeMotion(parts.motion, count, hasCount);
+                target = motion && motion.object;
+            } else {
+                // Operator still waiting for its motion
+                target = '…';
+            }
+
+            if (!target) return null;
+            return `${operator} ${target}${register}`;
+        }
+
+        if (parts.motion) {
+            const motion = this.describeMotion(parts.motion, count, hasCount);
+            return motion ? motion.move : null;
+        }
+
+        if (parts.action) {
+            return this.describeAction(parts.action, count, parts.register);
+        }
+
+        return null;
+    }
+
+    isDoubledOperator(parts) {
+        return parts.motion === parts.operator || parts.motion === parts.operator.slice(-1);
+    }
+
+    describeRegister(register, storesText) {
+        if (!register) return '';
+        return storesText ? ` into register ${register}` : ` from register ${register}`;
+    }
+
+    describeMotion(motion, count, hasCount) {
+        const keys = VimKeys.split(motion);
+        const first = keys[0];
+
+        // Motions that take a character argument (f, t, F, T, marks)
+        if (CommandDescriber.CHARACTER_MOTIONS[first] && keys.length === 2) {
+            return this.resolveMotion(CommandDescriber.CHARACTER_MOTIONS[first](this.quote(keys[1]), count), count);
+        }
+
+        // Repeated keys in a visual selection (jjj) read as one counted motion
+        if (keys.length > 1 && keys.every(key => key === first) && CommandDescriber.MOTIONS[first]) {
+            return this.describeMotion(first, count * keys.length, true);
+        }
+
+        // Counted jumps (5G, 3gg, 10|) go to a position instead of repeating
+        if (hasCount && CommandDescriber.COUNTED_JUMPS[motion]) {
+            return this.resolveMotion(CommandDescriber.COUNTED_JUMPS[motion](count), count);
+        }
+
+        const entry = CommandDescriber.MOTIONS[motion];
+        return entry ? this.resolveMotion(entry, count) : null;
+    }
+
+    resolveMotion(entry, count) {
+        return {
+            move: entry.move(count),
+            object: entry.object(count)
+        };
+    }
+
+    describeTextObject(textObject) {
+        const scope = textObject.charAt(0) === 'i' ? 'inside' : 'around';
+        const object = CommandDescriber.TEXT_OBJECTS[textObject.slice(1)];
+        return object ? `${scope} ${object}` : null;
+    }
+
+    describeAction(action, count, register) {
+        const keys = VimKeys.split(action);
+
+        if (CommandDescriber.CHARACTER_ACTIONS[keys[0]] && keys.length === 2) {
+            return CommandDescriber.CHARACTER_ACTIONS[keys[0]](this.quote(keys[1]), count);
+        }
+
+        const describe = CommandDescriber.ACTIONS[action];
+        if (!describe) return null;
+
+        const isPaste = action === 'p' || action === 'P' || action === ']p' || action === '[p';
+        return describe(count) + this.describeRegister(register, !isPaste);
+    }
+
+    describeVisual(parts) {
+        const kind = CommandDescriber.VISUAL_MODES[parts.visual];
+        const motion = parts.motion && this.describeMotion(parts.motion, 1, false);
+        const textObject = parts.motion && this.describeTextObject(parts.motion);
+        const extent = motion ? ` (${motion.object})` : textObject ? ` (${textObject})` : '';
+
+        if (parts.operator) {
+            return `${CommandDescriber.OPERATORS[parts.operator]} a ${kind} selection${extent}`;
+        }
+        if (parts.action && CommandDescriber.VISUAL_ACTIONS[parts.action]) {
+            return `${CommandDescriber.VISUAL_ACTIONS[parts.action]} a ${kind} selection${extent}`;
+        }
+        return `select ${kind}${extent}`;
+    }
+
+    describePrompt(prompt) {
+        if (prompt.type !== ':') {
+            const direction = prompt.type === '/' ? 'forward' : 'backward';
+            return prompt.text
+                ? `search ${direction} for "${prompt.text}"`
+                : `repeat the last search ${direction}`;
+        }
+
+        const line = prompt.text.trim();
+        if (/^\d+$/.test(line)) return `jump to line ${line}`;
+        if (line === '$') return 'jump to the last line';
+
+        const match = CommandAssembler.EX_LINE.exec(prompt.text);
+        if (!match) return prompt.text.trim() ? `run :${prompt.text.trim()}` : null;
+
+        const name = CommandAssembler.exCommandName(prompt.text);
+        const range = prompt.text.slice(0, match[0].length - match[1].length).replace(/^[\s:]+/, '').trim();
+        const args = prompt.text.slice(match[0].length);
+        const describe = CommandDescriber.EX_COMMANDS[name];
+
+        return describe
+            ? describe(args, this.describeRange(range), Boolean(range))
+            : `run :${prompt.text.trim()}`;
+    }
+
+    describeRange(range) {
+        if (!range) return 'on this line';
+        if (range === '%' || range === '1,$') return 'in the whole file';
+        if (range === '\'<,\'>') return 'in the selection';
+        if (range === '.,$') return 'from here to the end of the file';
+        if (/^\d+$/.test(range)) return `on line ${range}`;
+        if (/^\d+,\d+$/.test(range)) return `on lines ${range.replace(',', '-')}`;
+        return `on lines ${range}`;
+    }
+
+    static splitPattern(args) {
+        // "/old/new/g" -> ["old", "new", "g"]; any punctuation works as delimiter
+        const delimiter = args.charAt(0);
+        if (!delimiter || /[\w\s\\"|]/.test(delimiter)) return null;
+        return args.slice(1).split(delimiter);
+    }
+
+    static lines(where, hasRange) {
+        // "on lines 2-4" -> "the lines 2-4"; no range means the cursor line
+        if (!hasRange) return 'the line';
+        if (where === 'in the whole file') return 'every line';
+        if (where === 'in the selection') return 'the selected lines';
+        if (where.startsWith('on ')) return `the ${where.slice(3)}`;
+        return `the lines ${where}`;
+    }
+
+    quote(key) {
+        return key === '<Space>' ? 'space' : `'${key}'`;
+    }
+
+    // Simple motions: `move` is used on its own, `object` after an operator
+    static motion(move, object) {
+        return { move, object: object || move };
+    }
+
+    static counted(verb, noun, direction) {
+        const amount = n => n === 1 ? `one ${noun}` : CommandDescriber.plural(n, noun);
+        return CommandDescriber.motion(
+            n => `${verb} ${amount(n)}${direction ? ` ${direction}` : ''}`,
+            n => `${amount(n)}${direction ? ` ${direction}` : ''}`
+        );
+    }
+
+    static plural(count, noun) {
+        return count === 1 ? noun : `${count} ${noun}s`;
+    }
+
+    static ordinal(count) {
+        if (count === 1) return '';
+        const suffix = count % 10 === 1 && count % 100 !== 11 ? 'st'
+            : count % 10 === 2 && count % 100 !== 12 ? 'nd'
+                : count % 10 === 3 && count % 100 !== 13 ? 'rd'
+                    : 'th';
+        return `${count}${suffix} `;
+    }
+}
+
+CommandDescriber.OPERATORS = {
+    'd': 'delete',
+    'c': 'change',
+    'y': 'yank (copy)',
+    '<': 'unindent',
+    '>': 'indent',
+    '=': 'auto-indent',
+    'g~': 'toggle the case of',
+    'gu': 'lowercase',
+    'gU': 'uppercase'
+};
+
+CommandDescriber.MOTIONS = {
+    'h': CommandDescriber.counted('move', 'character', 'left'),
+    'l': CommandDescriber.counted('move', 'character', 'right'),
+    'j': CommandDescriber.counted('move', 'line', 'down'),
+    'k': CommandDescriber.counted('move', 'line', 'up'),
+    'gj': CommandDescriber.counted('move', 'display line', 'down'),
+    'gk': CommandDescriber.counted('move', 'display line', 'up'),
+    '<Left>': CommandDescriber.counted('move', 'character', 'left'),
+    '<Right>': CommandDescriber.counted('move', 'character', 'right'),
+    '<Up>': CommandDescriber.counted('move', 'line', 'up'),
+    '<Down>': CommandDescriber.counted('move', 'line', 'down'),
+    '<Space>': CommandDescriber.counted('move', 'character', 'right'),
+    '<BS>': CommandDescriber.counted('move', 'character', 'left'),
+    '<C-n>': CommandDescriber.counted('move', 'line', 'down'),
+    '<C-p>': CommandDescriber.counted('move', 'line', 'up'),
+    'w': CommandDescriber.motion(n => `jump forward ${n === 1 ? 'a word' : CommandDescriber.plural(n, 'word')}`, n => n === 1 ? 'a word' : CommandDescriber.plural(n, 'word')),
+    'W': CommandDescriber.motion(n => `jump forward ${n === 1 ? 'a WORD' : CommandDescriber.plural(n, 'WORD')}`, n => n === 1 ? 'a WORD' : CommandDescriber.plural(n, 'WORD')),
+    'b': CommandDescriber.motion(n => `jump back ${n === 1 ? 'a word' : CommandDescriber.plural(n, 'word')}`, n => `${n === 1 ? 'a word' : CommandDescriber.plural(n, 'word')} backwards`),
+    'B': CommandDescriber.motion(n => `jump back ${n === 1 ? 'a WORD' : CommandDescriber.plural(n, 'WORD')}`, n => `${n === 1 ? 'a WORD' : CommandDescriber.plural(n, 'WORD')} backwards`),
+    'e': CommandDescriber.motion(n => `jump to the end of the ${CommandDescriber.ordinal(n)}word`, n => `to the end of the ${CommandDescriber.ordinal(n)}word`),
+    'E': CommandDescriber.motion(n => `jump to the end of the ${CommandDescriber.ordinal(n)}WORD`, n => `to the end of the ${CommandDescriber.ordinal(n)}WORD`),
+    'ge': CommandDescriber.motion(n => `jump back to the end of the ${CommandDescriber.ordinal(n)}previous word`, n => `back to the end of the ${CommandDescriber.ordinal(n)}previous word`),
+    'gE': CommandDescriber.motion(n => `jump back to the end of the ${CommandDescriber.ordinal(n)}previous WORD`, n => `back to the end of the ${CommandDescriber.ordinal(n)}previous WORD`),
+    '0': CommandDescriber.motion(() => 'jump to the start of the line', () => 'to the start of the line'),
+    '<Home>': CommandDescriber.motion(() => 'jump to the start of the line', () => 'to the start of the line'),
+    '^': CommandDescriber.motion(() => 'jump to the first non-blank character', () => 'to the first non-blank character'),
+    '$': CommandDescriber.motion(n => n === 1 ? 'jump to the end of the line' : `jump to the end of the line ${n - 1} down`,
+        n => n === 1 ? 'to the end of the line' : `to the end of the line ${n - 1} down`),
+    '<End>': CommandDescriber.motion(() => 'jump to the end of the line', () => 'to the end of the line'),
+    '+': CommandDescriber.counted('move', 'line', 'down to its first character'),
+    '<CR>': CommandDescriber.counted('move', 'line', 'down to its first character'),
+    '-': CommandDescriber.counted('move', 'line', 'up to its first character'),
+    '_': CommandDescriber.motion(n => n === 1 ? 'jump to the first character of the line' : `move ${n - 1} lines down to the first character`,
+        n => n === 1 ? 'the line from its first character' : `${n} lines from the first character`),
+    '|': CommandDescriber.motion(() => 'jump to the first column', () => 'to the first column'),
+    'gg': CommandDescriber.motion(() => 'jump to the first line', () => 'to the first line'),
+    'G': CommandDescriber.motion(() => 'jump to the last line', () => 'to the last line'),
+    'H': CommandDescriber.motion(() => 'jump to the top of the screen', () => 'to the top of the screen'),
+    'M': CommandDescriber.motion(() => 'jump to the middle of the screen', () => 'to the middle of the screen'),
+    'L': CommandDescriber.motion(() => 'jump to the bottom of the screen', () => 'to the bottom of the screen'),
+    '{': CommandDescriber.counted('jump back', 'paragraph', ''),
+    '}': CommandDescriber.counted('jump forward', 'paragraph', ''),
+    '(': CommandDescriber.counted('jump back', 'sentence', ''),
+    ')': CommandDescriber.counted('jump forward', 'sentence', ''),
+    '%': CommandDescriber.motion(() => 'jump to the matching bracket', () => 'to the matching bracket'),
+    ';': CommandDescriber.motion(() => 'repeat the last f/t search', () => 'to the next f/t match'),
+    ',': CommandDescriber.motion(() => 'repeat the last f/t search backwards', () => 'to the previous f/t match'),
+    'n': CommandDescriber.motion(n => `jump to the ${CommandDescriber.ordinal(n)}next search match`, n => `to the ${CommandDescriber.ordinal(n)}next search match`),
+    'N': CommandDescriber.motion(n => `jump to the ${CommandDescriber.ordinal(n)}previous search match`, n => `to the ${CommandDescriber.ordinal(n)}previous search match`),
+    'gn': CommandDescriber.motion(() => 'select the next search match', () => 'the next search match'),
+    'gN': CommandDescriber.motion(() => 'select the previous search match', () => 'the previous search match'),
+    '<C-f>': CommandDescriber.counted('scroll forward', 'page', ''),
+    '<C-b>': CommandDescriber.counted('scroll back', 'page', ''),
+    '<PageDown>': CommandDescriber.counted('scroll forward', 'page', ''),
+    '<PageUp>': CommandDescriber.counted('scroll back', 'page', ''),
+    '<C-d>': CommandDescriber.motion(() => 'scroll down half a page', () => 'half a page down'),
+    '<C-u>': CommandDescriber.motion(() => 'scroll up half a page', () => 'half a page up'),
+    '`': CommandDescriber.motion(() => 'jump to a mark', () => 'to a mark'),
+    ']`': CommandDescriber.motion(() => 'jump to the next mark', () => 'to the next mark'),
+    '[`': CommandDescriber.motion(() => 'jump to the previous mark', () => 'to the previous mark'),
+    'o': CommandDescriber.motion(() => 'jump to the other end of the selection', () => 'to the other end of the selection'),
+    'O': CommandDescriber.motion(() => 'jump to the other end of the selection', () => 'to the other end of the selection')
+};
+
+CommandDescriber.COUNTED_JUMPS = {
+    'G': n => CommandDescriber.motion(() => `jump to line ${n}`, () => `to line ${n}`),
+    'gg': n => CommandDescriber.motion(() => `jump to line ${n}`, () => `to line ${n}`),
+    '|': n => CommandDescriber.motion(() => `jump to column ${n}`, () => `to column ${n}`)
+};
+
+CommandDescriber.CHARACTER_MOTIONS = {
+    'f': (char, n) => CommandDescriber.motion(() => `jump to the ${CommandDescriber.ordinal(n)}next ${char}`, () => `up to and including the ${CommandDescriber.ordinal(n)}next ${char}`),
+    'F': (char, n) => CommandDescriber.motion(() => `jump back to the ${CommandDescriber.ordinal(n)}previous ${char}`, () => `back to the ${CommandDescriber.ordinal(n)}previous ${char}`),
+    't': (char, n) => CommandDescriber.motion(() => `jump to just before the ${CommandDescriber.ordinal(n)}next ${char}`, () => `up to the ${CommandDescriber.ordinal(n)}next ${char}`),
+    'T': (char, n) => CommandDescriber.motion(() => `jump back to just after the ${CommandDescriber.ordinal(n)}previous ${char}`, () => `back to just after the ${CommandDescriber.ordinal(n)}previous ${char}`),
+    '`': char => CommandDescriber.motion(() => `jump to mark ${char}`, () => `to mark ${char}`),
+    '\'': char => CommandDescriber.motion(() => `jump to the line of mark ${char}`, () => `to the line of mark ${char}`),
+    ']': char => CommandDescriber.motion(() => `jump to the next unmatched ${char}`, () => `to the next unmatched ${char}`),
+    '[': char => CommandDescriber.motion(() => `jump to the previous unmatched ${char}`, () => `to the previous unmatched ${char}`)
+};
+
+CommandDescriber.TEXT_OBJECTS = {
+    'w': 'word',
+    'W': 'WORD',
+    's': 'sentence',
+    'p': 'paragraph',
+    '"': 'quotes',
+    '\'': 'single quotes',
+    '`': 'backticks',
+    '(': 'parentheses',
+    ')': 'parentheses',
+    'b': 'parentheses',
+    '{': 'braces',
+    '}': 'braces',
+    'B': 'braces',
+    '[': 'brackets',
+    ']': 'brackets',
+    '<': 'angle brackets',
+    '>': 'angle brackets',
+    't': 'tag'
+};
+
+CommandDescriber.ACTIONS = {
+    'x': n => `delete ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')} under the cursor`,
+    '<Del>': n => `delete ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')} under the cursor`,
+    'X': n => `delete ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')} before the cursor`,
+    'D': () => 'delete to the end of the line',
+    'C': () => 'change to the end of the line',
+    'Y': n => `yank (copy) ${n === 1 ? 'the line' : CommandDescriber.plural(n, 'line')}`,
+    's': n => `substitute ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')}`,
+    'S': () => 'substitute the whole line',
+    '~': n => `toggle the case of ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')}`,
+    'p': n => n === 1 ? 'paste after the cursor' : `paste ${n} times after the cursor`,
+    'P': n => n === 1 ? 'paste before the cursor' : `paste ${n} times before the cursor`,
+    ']p': () => 'paste after the cursor, matching indentation',
+    '[p': () => 'paste before the cursor, matching indentation',
+    'u': n => n === 1 ? 'undo' : `undo ${n} changes`,
+    '<C-r>': n => n === 1 ? 'redo' : `redo ${n} changes`,
+    '.': () => 'repeat the last change',
+    'i': () => 'insert before the cursor',
+    'a': () => 'append after the cursor',
+    'I': () => 'insert at the start of the line',
+    'A': () => 'append at the end of the line',
+    'gi': () => 'insert where you last stopped inserting',
+    'gI': () => 'insert at the very start of the line',
+    'o': () => 'open a new line below',
+    'O': () => 'open a new line above',
+    'R': () => 'enter replace mode',
+    '<Ins>': () => 'insert before the cursor',
+    'J': n => n <= 2 ? 'join this line with the next' : `join ${n} lines`,
+    'gJ': n => n <= 2 ? 'join this line with the next without adding a space' : `join ${n} lines without adding spaces`,
+    'v': () => 'start characterwise visual mode',
+    'V': () => 'start linewise visual mode',
+    '<C-v>': () => 'start blockwise visual mode',
+    '<C-q>': () => 'start blockwise visual mode',
+    'gv': () => 'reselect the last visual selection',
+    '*': () => 'search forward for the word under the cursor',
+    '#': () => 'search backward for the word under the cursor',
+    'g*': () => 'search forward for the text under the cursor',
+    'g#': () => 'search backward for the text under the cursor',
+    'zz': () => 'scroll the cursor line to the middle',
+    'z.': () => 'scroll the cursor line to the middle',
+    'zt': () => 'scroll the cursor line to the top',
+    'z<CR>': () => 'scroll the cursor line to the top',
+    'zb': () => 'scroll the cursor line to the bottom',
+    'z-': () => 'scroll the cursor line to the bottom',
+    '<C-e>': n => `scroll down ${CommandDescriber.plural(n, 'line')}`,
+    '<C-y>': n => `scroll up ${CommandDescriber.plural(n, 'line')}`,
+    '<C-o>': () => 'jump back in the jump list',
+    '<C-i>': () => 'jump forward in the jump list',
+    '<C-a>': n => n === 1 ? 'increment the number' : `add ${n} to the number`,
+    '<C-x>': n => n === 1 ? 'decrement the number' : `subtract ${n} from the number`,
+    ':': () => 'enter an ex command',
+    '/': () => 'search forward',
+    '?': () => 'search backward'
+};
+
+// Ex commands by full name: (arguments, range description, has range) => text
+CommandDescriber.EX_COMMANDS = {
+    'substitute': (args, where, hasRange) => {
+        const pieces = CommandDescriber.splitPattern(args);
+        if (!pieces) return `repeat the last substitution ${where}`;
+
+        const [pattern, replacement = '', flags = ''] = pieces;
+        const which = flags.includes('g') ? 'every' : 'the first';
+        const perLine = !flags.includes('g') && hasRange ? ' on each line' : '';
+        const action = replacement
+            ? `replace ${which} "${pattern}"${perLine} with "${replacement}"`
+            : `delete ${which} "${pattern}"${perLine}`;
+        return `${action} ${where}`;
+    },
+    'global': args => {
+        const pieces = CommandDescriber.splitPattern(args);
+        if (!pieces) return 'run a command on every matching line';
+        const [pattern, ...command] = pieces;
+        return command.length > 0
+            ? `run :${command.join('/').trim()} on every line matching "${pattern}"`
+            : `list every line matching "${pattern}"`;
+    },
+    'vglobal': args => {
+        const pieces = CommandDescriber.splitPattern(args);
+        if (!pieces) return 'run a command on every line that does not match';
+        const [pattern, ...command] = pieces;
+        return command.length > 0
+            ? `run :${command.join('/').trim()} on every line not matching "${pattern}"`
+            : `list every line not matching "${pattern}"`;
+    },
+    'yank': (args, where, hasRange) => `yank (copy) ${CommandDescriber.lines(where, hasRange)}`,
+    'sort': (args, where, hasRange) => `sort ${hasRange ? CommandDescriber.lines(where, hasRange) : 'every line'}`,
+    'nohlsearch': () => 'clear the search highlighting',
+    'undo': () => 'undo',
+    'redo': () => 'redo',
+    'write': () => 'save the file',
+    'set': args => `set the option "${args.trim()}"`,
+    'map': args => `map "${args.trim()}"`,
+    'registers': () => 'list the registers',
+    'delmarks': args => `delete the marks ${args.trim()}`
+};
+
+CommandDescriber.CHARACTER_ACTIONS = {
+    'r': (char, n) => `replace ${n === 1 ? 'the character' : CommandDescriber.plural(n, 'character')} with ${char}`,
+    'm': char => `set mark ${char}`,
+    'q': char => `record a macro into register ${char}`,
+    '@': char => char === '\'@\'' ? 'replay the last macro' : `replay the macro in register ${char}`,
+    '"': char => `use register ${char} for the next command`
+};
+
+CommandDescriber.VISUAL_MODES = {
+    'v': 'characterwise',
+    'V': 'linewise',
+    '<C-v>': 'blockwise',
+    '<C-q>': 'blockwise'
+};
+
+CommandDescriber.VISUAL_ACTIONS = {
+    'x': 'delete',
+    'X': 'delete the lines of',
+    'D': 'delete the lines of',
+    's': 'change',
+    'S': 'change the lines of',
+    'C': 'change the lines of',
+    'Y': 'yank (copy) the lines of',
+    'J': 'join the lines of',
+    'p': 'paste over',
+    'P': 'paste over',
+    'r': 'replace every character of',
+    '~': 'toggle the case of',
+    'u': 'lowercase',
+    'U': 'uppercase',
+    'I': 'insert before',
+    'A': 'append after',
+    'o': 'swap the ends of',
+    '<Esc>': 'cancel'
+};
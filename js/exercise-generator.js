@@ -0,0 +1,116 @@
+// Expands generated exercises. An exercise with a `generator` block in its
+// frontmatter is a template: its variables are drawn from a seeded random
+// source and substituted for {{name}} placeholders in the title, instructions,
+// Start/End blocks, hints and solutions, so every seed gives a reproducible
+// variant whose solutions (and therefore par) are known.
+//
+//   generator:
+//     variables:
+//       n: { range: [3, 7] }             integer between 3 and 7
+//       mark: ["#", "*", "~"]            one of the list
+//       junk: { repeat: "{{mark}}", times: "{{n}}" }
+//       words: { words: [red, blue, green], count: 2 }   distinct, space-joined
+//       jumps: { sum: ["{{n}}", -1] }    arithmetic on earlier variables
+//       label: "{{mark}}-{{n}}"         plain template
+class ExerciseGenerator {
+    static variables(generator, seed) {
+        const random = ExerciseGenerator.random(seed);
+        const values = {};
+
+        // Variables are drawn in order, so later ones can use earlier ones
+        Object.entries(generator.variables || {}).forEach(([name, spec]) => {
+            values[name] = ExerciseGenerator.draw(name, spec, values, random);
+        });
+        return values;
+    }
+
+    static draw(name, spec, values, random) {
+        const fill = text => ExerciseGenerator.fill(String(text), values);
+        const number = text => {
+            const value = Number(fill(text));
+            if (!Number.isFinite(value)) {
+                throw new Error(`Generator variable "${name}" needs a number, got "${text}"`);
+            }
+            return value;
+        };
+        const pick = list => {
+            if (!Array.isArray(list) || list.length === 0) {
+                throw new Error(`Generator variable "${name}" has nothing to pick from`);
+            }
+            return list[Math.floor(random() * list.length)];
+        };
+
+        if (Array.isArray(spec)) return fill(pick(spec));
+        if (typeof spec === 'number') return spec;
+        if (typeof spec === 'string') return fill(spec);
+        if (!spec || typeof spec !== 'object') {
+            throw new Error(`Generator variable "${name}" is not a list, number, string or object`);
+        }
+
+        if (spec.pick) return fill(pick(spec.pick));
+        if (spec.range) {
+            const [min, max] = spec.range.map(number);
+            return min + Math.floor(random() * (max - min + 1));
+        }
+        if (spec.repeat !== undefined) {
+            return fill(spec.repeat).repeat(number(spec.times));
+        }
+        if (spec.words) {
+            const pool = [...spec.words];
+            const count = number(spec.count || 1);
+            if (count > pool.length) {
+                throw new Error(`Generator variable "${name}" wants ${count} words but only has ${pool.length}`);
+            }
+            const chosen = [];
+            for (let i = 0; i < count; i++) {
+                chosen.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+            }
+            return chosen.map(fill).join(' ');
+        }
+        if (spec.sum) {
+            return spec.sum.reduce((total, term) => total + number(term), 0);
+        }
+
+        throw new Error(`Generator variable "${name}" needs one of pick, range, repeat, words or sum`);
+    }
+
+    static fill(template, values) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (!(name in values)) {
+                throw new Error(`Unknown generator variable "${name}"`);
+            }
+            return String(values[name]);
+        });
+    }
+
+    static fillKeys(sequence, values) {
+        // ["{{n}}", "x"] with n = 12 -> ["1", "2", "x"]: a filled entry may
+        // stand for several keystrokes
+        return sequence.flatMap(key => {
+            const filled = ExerciseGenerator.fill(String(key), values);
+            return filled === String(key) ? [key] : VimKeys.split(filled);
+        });
+    }
+
+    static random(seed) {
+        // mulberry32: small, fast and identical in every browser
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    static newSeed() {
+        return Math.floor(Math.random() * ExerciseGenerator.MAX_SEED) + 1;
+    }
+}
+
+ExerciseGenerator.MAX_SEED = 99999;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseGenerator;
+}
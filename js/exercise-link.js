@@ -0,0 +1,59 @@
+// Links to exercises in the URL hash. A listed exercise is addressed by its
+// chapter folder and file name, #/01-basics/03-word-jump, with ?variant=N for
+// a generated one. A shared challenge carries its whole exercise file,
+// base64url-encoded, in #/custom/<data>, so it needs nothing in the repo.
+class ExerciseLink {
+    static forExercise(exercise) {
+        const match = exercise && /^exercises\/([^/]+)\/([^/]+?)(?:\.md)?$/.exec(exercise.path);
+        if (!match) return '';
+        const variant = exercise.variantSeed ? `?variant=${exercise.variantSeed}` : '';
+        return `#/${encodeURIComponent(match[1])}/${encodeURIComponent(match[2])}${variant}`;
+    }
+
+    static forCustom(markdown) {
+        return `#/${ExerciseLink.CUSTOM}/${ExerciseLink.encode(markdown)}`;
+    }
+
+    static parse(hash) {
+        // { path, variant } for a listed exercise, { markdown } for a shared
+        // one, or null when the hash isn't an exercise link at all
+        const match = /^#\/([^?]+)(?:\?(.*))?$/.exec(hash || '');
+        if (!match) return null;
+
+        const [first, ...rest] = match[1].split('/');
+        if (first === ExerciseLink.CUSTOM) {
+            return { markdown: ExerciseLink.decode(rest.join('/')) };
+        }
+        if (rest.length !== 1 || !rest[0]) return null;
+
+        try {
+            const variant = Number(new URLSearchParams(match[2] || '').get('variant'));
+            return {
+                path: `exercises/${decodeURIComponent(first)}/${decodeURIComponent(rest[0])}.md`,
+                variant: Number.isInteger(variant) && variant > 0 ? variant : null
+            };
+        } catch (e) {
+            throw new Error('This exercise link is malformed');
+        }
+    }
+
+    static encode(text) {
+        const bytes = new TextEncoder().encode(text);
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decode(data) {
+        try {
+            const binary = atob(data.replace(/-/g, '+').replace(/_/g, '/'));
+            const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+            return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        } catch (e) {
+            throw new Error('This shared exercise link is damaged; it may have been cut short');
+        }
+    }
+}
+
+ExerciseLink.CUSTOM = 'custom';
+// Path a shared exercise is loaded under; it isn't a file in the repo
+ExerciseLink.CUSTOM_PATH = 'custom';
@@ -4,14 +4,26 @@ class ExerciseLoader {
         this.currentChapterIndex = 0;
         this.currentExerciseIndex = 0;
         this.exercises = [];
+        this.loadErrors = [];
+
+        // The locked chapter that stopped the last nextExercise() or
+        // previousExercise(), or null
+        this.lockedChapterIndex = null;
+
+        // Completion records keyed by exercise path, so replaying an
+        // exercise never counts twice
+        this.completedExercises = {};
     }
 
     async loadChapters() {
-        // In a real implementation, this would dynamically scan the exercises folder
-        // For now, we'll hardcode the structure
-        const chapterFolders = [
-            '01-basics'
-        ];
+        // Chapter order lives in exercises/index.yaml, and each chapter's
+        // chapter.yaml lists its exercise files
+        let chapterFolders = [];
+        try {
+            chapterFolders = await this.loadManifest();
+        } catch (error) {
+            this.recordError('exercises/index.yaml', error);
+        }
 
         for (const folder of chapterFolders) {
             try {
@@ -19,7 +31,7 @@ class ExerciseLoader {
                 const chapterMeta = await this.loadChapterMeta(folder);
                 
                 // Load exercises for this chapter
-                const exercises = await this.loadChapterExercises(folder);
+                const exercises = await this.loadChapterExercises(folder, chapterMeta.exercises);
                 
                 this.chapters.push({
                     id: folder,
@@ -29,97 +41,256 @@ class ExerciseLoader {
                     total: exercises.length
                 });
             } catch (error) {
-                console.warn(`Could not load chapter ${folder}:`, error);
+                this.recordError(`exercises/${folder}/chapter.yaml`, error);
             }
         }
 
+        // Prerequisites must point at a chapter that actually loaded
+        this.chapters.forEach(chapter => {
+            if (chapter.prerequisite && !this.chapters.some(ch => ch.id === chapter.prerequisite)) {
+                this.recordError(
+                    `exercises/${chapter.id}/chapter.yaml`,
+                    new Error(`Unknown prerequisite chapter "${chapter.prerequisite}"`)
+                );
+            }
+        });
+
         // Set current exercises from first chapter
         if (this.chapters.length > 0) {
             this.exercises = this.chapters[0].exercises;
         }
     }
 
+    recordError(source, error) {
+        // Keep load errors around so the game can show them instead of
+        // silently dropping the broken chapter or exercise
+        this.loadErrors.push({
+            source: source,
+            message: error.message || String(error)
+        });
+    }
+
+    async fetchText(path) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${path} (${response.status})`);
+        }
+        return response.text();
+    }
+
+    async loadManifest() {
+        const manifest = jsyaml.load(await this.fetchText('exercises/index.yaml'));
+        if (!manifest || !Array.isArray(manifest.chapters)) {
+            throw new Error('Manifest must declare a "chapters" list');
+        }
+
+        return manifest.chapters.filter((folder, index) => {
+            if (typeof folder !== 'string' || !folder.trim()) {
+                this.recordError('exercises/index.yaml', new Error(`Chapter entry ${index + 1} is not a folder name`));
+                return false;
+            }
+            return true;
+        });
+    }
+
     async loadChapterMeta(folder) {
-        try {
-            const response = await fetch(`exercises/${folder}/chapter.yaml`);
-            const yamlText = await response.text();
-            return jsyaml.load(yamlText);
-        } catch (error) {
-            // Return default metadata if chapter.yaml doesn't exist
-            return {
-                title: folder.replace(/-/g, ' ').replace(/^\d+\s/, ''),
-                description: 'Practice Vim commands',
-                icon: '📚'
-            };
+        const meta = jsyaml.load(await this.fetchText(`exercises/${folder}/chapter.yaml`));
+        if (!meta || typeof meta !== 'object') {
+            throw new Error('chapter.yaml must be a YAML mapping');
         }
+        if (!Array.isArray(meta.exercises)) {
+            throw new Error('chapter.yaml must declare an "exercises" list');
+        }
+
+        return {
+            title: folder.replace(/-/g, ' ').replace(/^\d+\s/, ''),
+            description: 'Practice Vim commands',
+            icon: '📚',
+            ...meta
+        };
     }
 
-    async loadChapterExercises(folder) {
-        // Hardcoded exercise files for now
-        // In production, this would be dynamically discovered
-        const exerciseFiles = this.getExerciseFiles(folder);
+    async loadChapterExercises(folder, exerciseFiles) {
         const exercises = [];
 
-        for (const file of exerciseFiles) {
+        for (const [index, file] of exerciseFiles.entries()) {
+            if (typeof file !== 'string' || !file.trim()) {
+                this.recordError(`exercises/${folder}/chapter.yaml`, new Error(`Exercise entry ${index + 1} is not a file name`));
+                continue;
+            }
+
+            const path = `exercises/${folder}/${file}`;
             try {
-                const exercise = await this.loadExercise(`exercises/${folder}/${file}`);
+                const exercise = await this.loadExercise(path);
                 exercises.push(exercise);
             } catch (error) {
-                console.warn(`Could not load exercise ${file}:`, error);
+                this.recordError(path, error);
             }
         }
 
         return exercises;
     }
 
-    getExerciseFiles(folder) {
-        // Hardcoded mapping of folders to exercise files
-        const mapping = {
-            '01-basics': [
-                '01-delete-character.md',
-                '02-delete-multiple.md',
-                '03-word-jump.md',
-                '04-delete-word.md'
-            ]
-        };
-
-        return mapping[folder] || [];
-    }
-
     async loadExercise(path) {
-        const response = await fetch(path);
-        const content = await response.text();
+        const content = await this.fetchText(path);
         return this.parseExercise(content, path);
     }
 
     parseExercise(content, path) {
-        // Split frontmatter and content
-        const parts = content.split('---');
-        if (parts.length < 3) {
-            throw new Error('Invalid exercise format');
+        const { frontmatter, start, end, alternativeEnds, hint, explanation } = ExerciseParser.parse(content, path);
+        const prose = { hint: hint, explanation: explanation };
+
+        if (frontmatter.generator) {
+            // Generated exercises keep their template and are listed with
+            // their default variant; the game draws a fresh one per attempt
+            const template = { frontmatter: frontmatter, start: start, end: end, alternativeEnds: alternativeEnds, ...prose };
+            return this.generateVariant({ path: path, template: template }, frontmatter.generator.seed || 1);
         }
 
-        // Parse frontmatter
-        const frontmatter = jsyaml.load(parts[1]);
+        return { ...this.buildExercise(path, frontmatter, start, end, alternativeEnds), ...prose };
+    }
 
-        // Parse start and end states
-        const mainContent = parts.slice(2).join('---');
-        const startMatch = mainContent.match(/## Start\s*```\s*([\s\S]*?)\s*```/);
-        const endMatch = mainContent.match(/## End\s*```\s*([\s\S]*?)\s*```/);
+    generateVariant(exercise, seed) {
+        const { frontmatter, start, end, alternativeEnds, hint, explanation } = exercise.template;
+        const values = ExerciseGenerator.variables(frontmatter.generator, seed);
+        const fill = text => ExerciseGenerator.fill(String(text), values);
+        const fillKeys = sequence => ExerciseGenerator.fillKeys(sequence, values);
+
+        const filled = {
+            ...frontmatter,
+            title: frontmatter.title && fill(frontmatter.title),
+            instructions: frontmatter.instructions && fill(frontmatter.instructions),
+            hint_keys: (frontmatter.hint_keys || []).map(fill),
+            hints: frontmatter.hints && frontmatter.hints.map(fill),
+            solutions: frontmatter.solutions && frontmatter.solutions.map(fillKeys),
+            optimalKeySequence: frontmatter.optimalKeySequence && fillKeys(frontmatter.optimalKeySequence),
+            par: frontmatter.par && Number(fill(frontmatter.par))
+        };
+
+        return {
+            ...this.buildExercise(exercise.path, filled, fill(start), fill(end), alternativeEnds.map(fill)),
+            hint: hint && fill(hint),
+            explanation: explanation && fill(explanation),
+            template: exercise.template,
+            variantSeed: seed,
+            variables: values
+        };
+    }
 
-        if (!startMatch || !endMatch) {
-            throw new Error('Exercise must have Start and End sections');
+    buildExercise(path, frontmatter, startSource, endSource, alternativeEnds = []) {
+        // {|} marks the starting cursor in Start and the target cursor in End.
+        // The text is used exactly as written, whitespace included.
+        const start = this.extractCursor(startSource, 'Start');
+        const endWithCursor = this.extractCursor(endSource, 'End');
+        // {<} and {>} around text in End mark a target visual selection
+        const end = this.extractSelection(endWithCursor.text, frontmatter.selectionMode);
+
+        if (frontmatter.endMode && !ExerciseLoader.MODES.includes(frontmatter.endMode)) {
+            throw new Error(`endMode must be one of ${ExerciseLoader.MODES.join(', ')}`);
+        }
+
+        // Further End sections are other acceptable texts. A cursor or
+        // selection goal is a position in the first End's text, so it can
+        // only be kept when that is the one text the learner can end with.
+        const markers = [ExerciseLoader.CURSOR_MARKER, ExerciseLoader.SELECTION_START, ExerciseLoader.SELECTION_END];
+        if (alternativeEnds.some(text => markers.some(marker => text.includes(marker)))) {
+            throw new Error('Only the first End section can mark a cursor or selection goal');
+        }
+        const endTexts = [end.text, ...alternativeEnds];
+        const compare = TextMatcher.policy(frontmatter.compare);
+        const hasGoal = Boolean(endWithCursor.cursor || end.selection);
+        if (hasGoal && alternativeEnds.length > 0) {
+            throw new Error('A cursor or selection goal can\'t be combined with more than one End section');
+        }
+        if (hasGoal && (compare.includes('ignore-blank-lines') || compare.includes('regex'))) {
+            throw new Error(`A cursor or selection goal can't be combined with compare: ${compare.join(', ')}`);
+        }
+        if (compare.includes('regex')) {
+            endTexts.forEach(text => TextMatcher.pattern(text));
         }
 
+        // Every accepted way of solving the exercise; a lone optimalKeySequence
+        // is the first (and only) accepted solution
+        const solutions = frontmatter.solutions ||
+            (frontmatter.optimalKeySequence ? [frontmatter.optimalKeySequence] : []);
+        const shortestSolution = solutions.length > 0
+            ? Math.min(...solutions.map(solution => solution.length))
+            : null;
+
         return {
             path: path,
             title: frontmatter.title || 'Untitled Exercise',
             instructions: frontmatter.instructions || 'Complete the exercise',
             allowedKeys: frontmatter.allowed_keys || [],
             hintKeys: frontmatter.hint_keys || [],
-            optimalKeySequence: frontmatter.optimalKeySequence || null,
-            startText: startMatch[1].trim(),
-            endText: endMatch[1].trim()
+            // Nudges revealed one at a time before the key hints and solution
+            hints: (frontmatter.hints || []).map(String),
+            optimalKeySequence: frontmatter.optimalKeySequence || solutions[0] || null,
+            solutions: solutions,
+            par: frontmatter.par || shortestSolution,
+            forbiddenSequences: frontmatter.forbiddenSequences || [],
+            // Commands the learner must use, e.g. ":s", "/" or "*"
+            requiredCommands: [].concat(frontmatter.requiredCommand || []),
+            startText: start.text,
+            endText: end.text,
+            endTexts: endTexts,
+            compare: compare,
+            startCursor: start.cursor || { line: 0, ch: 0 },
+            endCursor: endWithCursor.cursor,
+            endSelection: end.selection,
+            endMode: frontmatter.endMode || null,
+            frontmatter: frontmatter
+        };
+    }
+
+    extractSelection(text, mode = 'characterwise') {
+        const start = text.indexOf(ExerciseLoader.SELECTION_START);
+        const end = text.indexOf(ExerciseLoader.SELECTION_END);
+        if (start === -1 && end === -1) {
+            return { text: text, selection: null };
+        }
+        if (start === -1 || end === -1 || end < start) {
+            throw new Error('End section needs {<} before {>} to mark a selection');
+        }
+        if (!ExerciseLoader.SELECTION_MODES.includes(mode)) {
+            throw new Error(`selectionMode must be one of ${ExerciseLoader.SELECTION_MODES.join(', ')}`);
+        }
+
+        const withoutStart = text.replace(ExerciseLoader.SELECTION_START, '');
+        const endIndex = withoutStart.indexOf(ExerciseLoader.SELECTION_END);
+        const plain = withoutStart.replace(ExerciseLoader.SELECTION_END, '');
+        if (endIndex === start) {
+            throw new Error('Selection between {<} and {>} is empty');
+        }
+
+        // The selection ends on the character before {>}, like vim's '> mark
+        return {
+            text: plain,
+            selection: {
+                mode: mode,
+                from: this.positionAt(plain, start),
+                to: this.positionAt(plain, endIndex - 1)
+            }
+        };
+    }
+
+    positionAt(text, index) {
+        const before = text.slice(0, index).split('\n');
+        return { line: before.length - 1, ch: before[before.length - 1].length };
+    }
+
+    extractCursor(text, section) {
+        const markers = text.split(ExerciseLoader.CURSOR_MARKER).length - 1;
+        if (markers > 1) {
+            throw new Error(`${section} section has more than one cursor marker`);
+        }
+        if (markers === 0) {
+            return { text: text, cursor: null };
+        }
+
+        return {
+            text: text.replace(ExerciseLoader.CURSOR_MARKER, ''),
+            cursor: this.positionAt(text, text.indexOf(ExerciseLoader.CURSOR_MARKER))
         };
     }
 
@@ -137,47 +308,108 @@ class ExerciseLoader {
 
     nextExercise() {
         const chapter = this.chapters[this.currentChapterIndex];
+        this.lockedChapterIndex = null;
         if (!chapter) return false;
 
-        this.currentExerciseIndex++;
-        
-        // Check if we've completed all exercises in this chapter
-        if (this.currentExerciseIndex >= chapter.exercises.length) {
-            // Move to next chapter
-            if (this.currentChapterIndex < this.chapters.length - 1) {
-                this.currentChapterIndex++;
-                this.currentExerciseIndex = 0;
-                this.exercises = this.chapters[this.currentChapterIndex].exercises;
-                return true;
-            }
-            // No more exercises
-            this.currentExerciseIndex = chapter.exercises.length - 1;
-            return false;
+        if (this.currentExerciseIndex < chapter.exercises.length - 1) {
+            this.currentExerciseIndex++;
+            return true;
         }
-        
-        return true;
+
+        // Move to the next chapter, unless there is none or it is locked
+        return this.enterChapter(this.currentChapterIndex + 1, 0);
     }
 
     previousExercise() {
-        this.currentExerciseIndex--;
-        
-        // Check if we need to go to previous chapter
-        if (this.currentExerciseIndex < 0) {
-            if (this.currentChapterIndex > 0) {
-                this.currentChapterIndex--;
-                const prevChapter = this.chapters[this.currentChapterIndex];
-                this.currentExerciseIndex = prevChapter.exercises.length - 1;
-                this.exercises = prevChapter.exercises;
-                return true;
-            }
-            // Stay at first exercise
-            this.currentExerciseIndex = 0;
+        this.lockedChapterIndex = null;
+        if (this.currentExerciseIndex > 0) {
+            this.currentExerciseIndex--;
+            return true;
+        }
+
+        // Back to the previous chapter's last exercise, if it is unlocked
+        const prevChapter = this.chapters[this.currentChapterIndex - 1];
+        return Boolean(prevChapter) &&
+            this.enterChapter(this.currentChapterIndex - 1, prevChapter.exercises.length - 1);
+    }
+
+    enterChapter(chapterIndex, exerciseIndex) {
+        // Stepping across chapters keeps the position when the chapter is
+        // locked and records which one stopped it in lockedChapterIndex
+        const chapter = this.chapters[chapterIndex];
+        if (!chapter) return false;
+        if (!this.isChapterUnlocked(chapterIndex)) {
+            this.lockedChapterIndex = chapterIndex;
             return false;
         }
-        
+
+        this.currentChapterIndex = chapterIndex;
+        this.currentExerciseIndex = exerciseIndex;
+        this.exercises = chapter.exercises;
         return true;
     }
 
+    goTo(chapterIndex, exerciseIndex = 0) {
+        const chapter = this.chapters[chapterIndex];
+        if (!chapter || !chapter.exercises[exerciseIndex]) return false;
+
+        this.currentChapterIndex = chapterIndex;
+        this.currentExerciseIndex = exerciseIndex;
+        this.exercises = chapter.exercises;
+        return true;
+    }
+
+    findExercise(path) {
+        for (const [chapterIndex, chapter] of this.chapters.entries()) {
+            const exerciseIndex = chapter.exercises.findIndex(exercise => exercise.path === path);
+            if (exerciseIndex !== -1) {
+                return { chapterIndex, exerciseIndex };
+            }
+        }
+        return null;
+    }
+
+    markCompleted(path, record = {}) {
+        const previous = this.completedExercises[path];
+        const best = previous && previous.bestKeystrokes !== undefined ? previous.bestKeystrokes : Infinity;
+        // One attempt without hints is enough to count as solved unassisted;
+        // records from before hints existed count as unassisted
+        const hintLevel = record.hintLevel || 'none';
+        // Records migrated from old saves have no dates or count
+        const earlier = previous || {};
+        this.completedExercises[path] = {
+            ...previous,
+            ...record,
+            bestKeystrokes: record.keystrokes !== undefined ? Math.min(best, record.keystrokes) : previous && previous.bestKeystrokes,
+            bestHintLevel: previous ? HintLadder.lesser(previous.bestHintLevel || 'none', hintLevel) : hintLevel,
+            firstCompletedAt: earlier.firstCompletedAt || Date.now(),
+            lastCompletedAt: Date.now(),
+            timesCompleted: (earlier.timesCompleted || 0) + 1
+        };
+        this.updateChapterCompletion();
+    }
+
+    isExerciseCompleted(path) {
+        return Boolean(this.completedExercises[path]);
+    }
+
+    completionStatus(path) {
+        // 'solved' unassisted, 'hinted' after a nudge or key hint, 'shown'
+        // after seeing the solution, or null when never completed
+        const record = this.completedExercises[path];
+        if (!record) return null;
+        const level = record.bestHintLevel || 'none';
+        return level === 'none' ? 'solved' : level === 'solution' ? 'shown' : 'hinted';
+    }
+
+    updateChapterCompletion() {
+        this.chapters.forEach(chapter => {
+            chapter.completed = chapter.exercises.filter(exercise =>
+                this.isExerciseCompleted(exercise.path)
+            ).length;
+        });
+    }
+
     resetCurrentExercise() {
         // Just return the current exercise's start text
         const exercise = this.getCurrentExercise();
@@ -185,11 +417,24 @@ class ExerciseLoader {
     }
 
     isChapterUnlocked(chapterIndex) {
-        if (chapterIndex === 0) return true;
-        
-        const prevChapter = this.chapters[chapterIndex - 1];
-        // Unlock if previous chapter is at least 80% complete
-        return prevChapter && (prevChapter.completed / prevChapter.total) >= 0.8;
+        const chapter = this.chapters[chapterIndex];
+        if (!chapter) return false;
+
+        // An explicit prerequisite in chapter.yaml wins; `null` means none.
+        // Without the field we fall back to the previous chapter.
+        let required;
+        if (chapter.prerequisite === null) {
+            return true;
+        } else if (chapter.prerequisite !== undefined) {
+            required = this.chapters.find(ch => ch.id === chapter.prerequisite);
+        } else if (chapterIndex === 0) {
+            return true;
+        } else {
+            required = this.chapters[chapterIndex - 1];
+        }
+
+        // Unlock if the required chapter is at least 80% complete
+        return Boolean(required) && required.total > 0 && (required.completed / required.total) >= 0.8;
     }
 
     getProgress() {
@@ -202,4 +447,19 @@ class ExerciseLoader {
 
         return { current: completed, total, percentage };
     }
-}
\ No newline at end of file
+}
+
+ExerciseLoader.CURSOR_MARKER = '{|}';
+ExerciseLoader.SELECTION_START = '{<}';
+ExerciseLoader.SELECTION_END = '{>}';
+
+// Visual modes a target selection can be made in (set with `selectionMode`)
+ExerciseLoader.SELECTION_MODES = ['characterwise', 'linewise', 'blockwise'];
+
+// Modes an exercise can require the learner to finish in (vim-mode-change names)
+ExerciseLoader.MODES = ['normal', 'insert', 'visual', 'replace'];
+
+// Allow Node tooling (tools/validate-exercises.js) to reuse the loader
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseLoader;
+}
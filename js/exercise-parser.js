@@ -0,0 +1,199 @@
+// Reads an exercise file: YAML frontmatter between two --- lines, then
+// "## Name" sections. Start and End each hold one fenced code block whose text
+// is kept exactly, whitespace included; a fence can be longer than ``` (or use
+// ~~~) so the text itself may contain backticks. End may be repeated to accept
+// other results. Hint and Explanation are optional prose sections. Errors name
+// the file, the line and the field.
+class ExerciseParseError extends Error {
+    constructor(message, { path = null, line = null, field = null } = {}) {
+        super(line ? `line ${line}: ${message}` : message);
+        this.name = 'ExerciseParseError';
+        this.path = path;
+        this.line = line;
+        this.field = field;
+    }
+}
+
+class ExerciseParser {
+    constructor(content, path = null) {
+        this.path = path;
+        // Line numbers in errors count from 1, like an editor
+        this.lines = String(content).replace(/^\uFEFF/, '').split(/\r?\n/);
+    }
+
+    static parse(content, path) {
+        return new ExerciseParser(content, path).parse();
+    }
+
+    parse() {
+        const { frontmatter, bodyStart } = this.parseFrontmatter();
+        const sections = this.parseSections(bodyStart);
+
+        ExerciseParser.CODE_SECTIONS.forEach(name => {
+            if (!sections[name]) {
+                throw this.error(`Missing "## ${name}" section`, this.lines.length, name);
+            }
+        });
+
+        return {
+            frontmatter: frontmatter,
+            start: this.fencedText(sections.Start[0]),
+            end: this.fencedText(sections.End[0]),
+            alternativeEnds: sections.End.slice(1).map(section => this.fencedText(section)),
+            hint: this.prose(sections.Hint && sections.Hint[0]),
+            explanation: this.prose(sections.Explanation && sections.Explanation[0])
+        };
+    }
+
+    error(message, line = null, field = null) {
+        return new ExerciseParseError(message, { path: this.path, line: line, field: field });
+    }
+
+    parseFrontmatter() {
+        let open = 0;
+        while (open < this.lines.length && this.lines[open].trim() === '') open++;
+        if (open === this.lines.length || this.lines[open].trim() !== '---') {
+            throw this.error('The file must start with YAML frontmatter between --- lines', open + 1);
+        }
+
+        let close = open + 1;
+        while (close < this.lines.length && this.lines[close].trim() !== '---') close++;
+        if (close === this.lines.length) {
+            throw this.error('The frontmatter opened here is never closed with ---', open + 1);
+        }
+
+        let frontmatter;
+        try {
+            frontmatter = jsyaml.load(this.lines.slice(open + 1, close).join('\n'));
+        } catch (e) {
+            // js-yaml marks count lines from 0 within the frontmatter
+            const line = e.mark ? open + 2 + e.mark.line : open + 1;
+            throw this.error(`Invalid YAML: ${e.reason || e.message}`, line);
+        }
+        if (!frontmatter || typeof frontmatter !== 'object' || Array.isArray(frontmatter)) {
+            throw this.error('The frontmatter must be a YAML mapping of fields', open + 1);
+        }
+
+        this.checkFields(frontmatter, open, close);
+        return { frontmatter: frontmatter, bodyStart: close + 1 };
+    }
+
+    checkFields(frontmatter, open, close) {
+        // Errors point at the field's own line when it is there
+        const lineOf = field => {
+            for (let i = open + 1; i < close; i++) {
+                if (this.lines[i].startsWith(`${field}:`)) return i + 1;
+            }
+            return open + 1;
+        };
+
+        ExerciseParser.REQUIRED_FIELDS.forEach(field => {
+            if (frontmatter[field] === undefined || frontmatter[field] === null || frontmatter[field] === '') {
+                throw this.error(`Missing required field "${field}"`, open + 1, field);
+            }
+        });
+        ExerciseParser.LIST_FIELDS.forEach(field => {
+            if (frontmatter[field] !== undefined && !Array.isArray(frontmatter[field])) {
+                throw this.error(`"${field}" must be a list`, lineOf(field), field);
+            }
+        });
+        ExerciseParser.SEQUENCE_LIST_FIELDS.forEach(field => {
+            const value = frontmatter[field];
+            if (value !== undefined && !(Array.isArray(value) && value.every(Array.isArray))) {
+                throw this.error(`"${field}" must be a list of key lists, like [["d", "w"]]`, lineOf(field), field);
+            }
+        });
+        // Generated exercises may compute par from a variable ("{{n}}")
+        const par = frontmatter.par;
+        if (par !== undefined && typeof par !== 'number' && !(frontmatter.generator && typeof par === 'string')) {
+            throw this.error('"par" must be a number', lineOf('par'), 'par');
+        }
+    }
+
+    parseSections(from) {
+        // Every section of each name, in file order
+        const sections = {};
+        let current = null;
+
+        for (let i = from; i < this.lines.length; i++) {
+            const heading = /^##\s+(.+?)\s*$/.exec(this.lines[i]);
+            if (!heading) {
+                if (current) {
+                    current.lines.push(i);
+                } else if (this.lines[i].trim() !== '') {
+                    throw this.error('Text after the frontmatter must be inside a "## Start", "## End", ' +
+                        '"## Hint" or "## Explanation" section', i + 1);
+                }
+                continue;
+            }
+
+            const name = heading[1];
+            if (!ExerciseParser.SECTIONS.includes(name)) {
+                throw this.error(`Unknown section "## ${name}" (expected ${ExerciseParser.SECTIONS.join(', ')})`, i + 1, name);
+            }
+            if (sections[name] && !ExerciseParser.REPEATABLE_SECTIONS.includes(name)) {
+                throw this.error(`Section "## ${name}" appears twice (first on line ${sections[name][0].line})`, i + 1, name);
+            }
+
+            // Code sections end at their closing fence, so a "## " line inside
+            // the fenced text stays part of it
+            current = { name: name, line: i + 1, lines: [] };
+            sections[name] = (sections[name] || []).concat(current);
+            if (ExerciseParser.CODE_SECTIONS.includes(name)) {
+                i = this.readFence(current, i + 1);
+                current = null;
+            }
+        }
+
+        return sections;
+    }
+
+    readFence(section, from) {
+        let open = from;
+        while (open < this.lines.length && this.lines[open].trim() === '') open++;
+        const fence = open < this.lines.length && /^(`{3,}|~{3,})[^`]*$/.exec(this.lines[open]);
+        if (!fence) {
+            throw this.error(`"## ${section.name}" must be followed by a fenced code block`, section.line, section.name);
+        }
+
+        // The closing fence uses the same character, at least as many times
+        const marker = fence[1];
+        const closing = new RegExp(`^${marker.charAt(0) === '`' ? '`' : '~'}{${marker.length},}\\s*$`);
+        let close = open + 1;
+        while (close < this.lines.length && !closing.test(this.lines[close])) close++;
+        if (close === this.lines.length) {
+            throw this.error(`The code block of "## ${section.name}" opened here is never closed with ${marker}`, open + 1, section.name);
+        }
+
+        section.fence = { open: open, close: close };
+        return close;
+    }
+
+    fencedText(section) {
+        return this.lines.slice(section.fence.open + 1, section.fence.close).join('\n');
+    }
+
+    prose(section) {
+        if (!section) return null;
+        return section.lines.map(i => this.lines[i]).join('\n').trim() || null;
+    }
+
+    static fenceFor(text) {
+        // A backtick fence longer than any backtick run in the text
+        const longest = Math.max(0, ...(String(text).match(/`+/g) || []).map(run => run.length));
+        return '`'.repeat(Math.max(3, longest + 1));
+    }
+}
+
+ExerciseParser.REQUIRED_FIELDS = ['title', 'instructions'];
+ExerciseParser.LIST_FIELDS = ['allowed_keys', 'hint_keys', 'hints', 'optimalKeySequence'];
+ExerciseParser.SEQUENCE_LIST_FIELDS = ['solutions', 'forbiddenSequences'];
+ExerciseParser.CODE_SECTIONS = ['Start', 'End'];
+ExerciseParser.SECTIONS = ['Start', 'End', 'Hint', 'Explanation'];
+// Each further End is another acceptable result
+ExerciseParser.REPEATABLE_SECTIONS = ['End'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExerciseParser;
+    module.exports.ExerciseParseError = ExerciseParseError;
+}
@@ -0,0 +1,133 @@
+// Turns a recorded authoring session into an exercise file. The author's keys
+// become optimalKeySequence and par, allowed_keys and hint_keys are inferred
+// from the commands they used, and the cursor and selection they finished with
+// become {|} or {<}{>} markers in the End block.
+class ExerciseSerializer {
+    static fromRecording(recording) {
+        const keys = recording.keys.map(key => VimKeys.fromVim(key));
+        const selection = recording.endSelection || null;
+        // A selection goal already pins the cursor to one end of it
+        const endCursor = selection ? null : ExerciseSerializer.position(recording.endCursor);
+        // The final mode only matters next to a cursor goal or outside normal mode
+        const mode = recording.endMode || 'normal';
+        const endMode = !selection && (endCursor || mode !== 'normal') ? mode : null;
+
+        return {
+            title: recording.title || 'Untitled Exercise',
+            instructions: recording.instructions || 'Complete the exercise',
+            allowedKeys: ExerciseSerializer.inferAllowedKeys(recording.commands),
+            hintKeys: ExerciseSerializer.inferHintKeys(recording.commands),
+            optimalKeySequence: keys,
+            par: keys.length,
+            startText: recording.startText,
+            startCursor: ExerciseSerializer.position(recording.startCursor) || { line: 0, ch: 0 },
+            endText: recording.endText,
+            endCursor: endCursor,
+            endSelection: selection,
+            endMode: endMode
+        };
+    }
+
+    static inferAllowedKeys(commands) {
+        // Every key the author typed as a command; text typed in insert mode or
+        // into a : / ? prompt isn't restricted, so only the prompt key counts
+        const allowed = [];
+        commands.forEach(parts => {
+            const keys = parts.prompt
+                ? parts.keys.slice(0, parts.keys.indexOf(parts.prompt.type) + 1)
+                : parts.keys;
+            keys.map(key => VimKeys.fromVim(key)).forEach(key => {
+                if (!allowed.includes(key)) allowed.push(key);
+            });
+        });
+        // Escape is always listed so nobody gets stuck in a mode
+        if (!allowed.includes('Escape')) allowed.push('Escape');
+        return allowed;
+    }
+
+    static inferHintKeys(commands) {
+        // One hint per distinct command, e.g. "dw", "3x" or ":s/a/b/g"
+        const hints = commands.map(parts => {
+            if (parts.prompt) return `${parts.prompt.type}${parts.prompt.text}`;
+            return parts.keys.map(key => VimKeys.fromVim(key)).join('');
+        });
+        return hints.filter((hint, index) => hint && hints.indexOf(hint) === index);
+    }
+
+    static serialize(exercise) {
+        const lines = [
+            '---',
+            `title: ${JSON.stringify(exercise.title)}`,
+            `instructions: ${JSON.stringify(exercise.instructions)}`,
+            `allowed_keys: ${ExerciseSerializer.list(exercise.allowedKeys)}`,
+            `hint_keys: ${ExerciseSerializer.list(exercise.hintKeys)}`,
+            `optimalKeySequence: ${ExerciseSerializer.list(exercise.optimalKeySequence)}`,
+            `par: ${exercise.par}`
+        ];
+        if (exercise.endSelection && exercise.endSelection.mode !== 'characterwise') {
+            lines.push(`selectionMode: ${exercise.endSelection.mode}`);
+        }
+        if (exercise.endMode) {
+            lines.push(`endMode: ${exercise.endMode}`);
+        }
+        lines.push('---', '');
+
+        const start = ExerciseSerializer.isOrigin(exercise.startCursor)
+            ? exercise.startText
+            : ExerciseSerializer.insertAt(exercise.startText, exercise.startCursor, ExerciseLoader.CURSOR_MARKER);
+        // A fence longer than any run of backticks in the text
+        const startFence = ExerciseParser.fenceFor(start);
+        lines.push('## Start', startFence, start, startFence, '');
+
+        let end = exercise.endText;
+        if (exercise.endSelection) {
+            // {>} goes after the last selected character; insert it first so
+            // {<} doesn't shift it
+            const { from, to } = exercise.endSelection;
+            end = ExerciseSerializer.insertAt(end, { line: to.line, ch: to.ch + 1 }, ExerciseLoader.SELECTION_END);
+            end = ExerciseSerializer.insertAt(end, from, ExerciseLoader.SELECTION_START);
+        } else if (exercise.endCursor) {
+            end = ExerciseSerializer.insertAt(end, exercise.endCursor, ExerciseLoader.CURSOR_MARKER);
+        }
+        const endFence = ExerciseParser.fenceFor(end);
+        lines.push('## End', endFence, end, endFence, '');
+
+        return lines.join('\n');
+    }
+
+    static differences(parsed, exercise) {
+        // Fields that came back different after parsing the serialized file
+        return ExerciseSerializer.ROUND_TRIP_FIELDS.filter(field =>
+            JSON.stringify(parsed[field] || null) !== JSON.stringify(exercise[field] || null));
+    }
+
+    static list(values) {
+        return `[${values.map(value => JSON.stringify(value)).join(', ')}]`;
+    }
+
+    static insertAt(text, position, marker) {
+        const lines = text.split('\n');
+        const line = lines[position.line] || '';
+        const ch = Math.min(position.ch, line.length);
+        lines[position.line] = line.slice(0, ch) + marker + line.slice(ch);
+        return lines.join('\n');
+    }
+
+    static position(pos) {
+        // Editor positions carry extra fields (sticky, xRel); keep line and ch
+        return pos ? { line: pos.line, ch: pos.ch } : null;
+    }
+
+    static isOrigin(position) {
+        return !position || (position.line === 0 && position.ch === 0);
+    }
+
+    static slug(title) {
+        return String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'exercise';
+    }
+}
+
+ExerciseSerializer.ROUND_TRIP_FIELDS = [
+    'title', 'instructions', 'allowedKeys', 'hintKeys', 'optimalKeySequence', 'par',
+    'startText', 'startCursor', 'endText', 'endCursor', 'endSelection', 'endMode'
+];
@@ -1,28 +1,80 @@
 class VimGame {
     constructor() {
         this.editor = null;
+        // Saved state belongs to the active learner profile
+        this.profiles = new ProfileStore();
         this.exerciseLoader = new ExerciseLoader();
+        this.sessionStats = new SessionStats();
+
+        // Spaced repetition: which completed exercises are due for review
+        this.reviewScheduler = new ReviewScheduler();
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+
+        // Best attempt per exercise, and the replay viewer's playback state
+        this.bestAttempts = {};
+        this.replay = null;
+
+        // Speedrun in progress, its clock and the local leaderboard
+        this.speedrun = null;
+        this.speedrunTimer = null;
+        this.leaderboard = new SpeedrunLeaderboard();
+
+        // Exercise authoring session, or null while playing
+        this.authoring = null;
         this.currentExercise = null;
         this.allowedKeys = [];
+        this.forbiddenSequences = [];
         this.keyPressHistory = [];
         this.exerciseStartTime = null;
+        this.exerciseCompleted = false;
+        this.requirementWarned = false;
+        this.resetCount = 0;
+        this.vimMode = 'normal';
+        this.vimSubMode = null;
+
+        // Hint tiers of the current attempt, and what brings the next one
+        this.hints = null;
+        this.failedChecks = 0;
+        this.idleHintTimer = null;
+        
+        // Key restrictions: recent normal-mode keys for forbidden sequences
+        this.recentKeys = [];
+        this.settings = { ...VimGame.DEFAULT_SETTINGS };
+        // The learner's mappings and options, applied once the editor exists
+        this.vimrc = new Vimrc();
         
-        // Motion tracking
-        this.currentMotionBuffer = [];
+        // Command tracking: every command of the current exercise, newest first
+        this.commandAssembler = new CommandAssembler();
+        this.commandDescriber = new CommandDescriber();
         this.commandHistory = [];
         this.maxHistoryItems = 5;
-        this.motionCheckInterval = null;
+
+        // CodeMirror marks showing where a failed check diverged from the end text
+        this.diffMarks = [];
+        // Marks showing the target cursor or selection of the current exercise
+        this.goalMarks = [];
     }
 
     async init() {
+        // Restore learner settings before anything depends on them
+        this.loadSettings();
+        this.loadBestAttempts();
+        this.loadLeaderboard();
+        
         // Initialize CodeMirror
         this.initEditor();
+        this.applyVimrc();
         
         // Load exercises
         await this.exerciseLoader.loadChapters();
+        this.showLoadErrors();
         
-        // Load first exercise
-        this.loadExercise();
+        // Resume where the learner left off, unless a link asks for an exercise
+        const variantSeed = this.loadProgress();
+        if (!this.openLink(location.hash)) {
+            this.loadExercise(variantSeed);
+        }
         
         // Set up event listeners
         this.setupEventListeners();
@@ -31,6 +83,25 @@ class VimGame {
         this.updateUI();
     }
 
+    showLoadErrors() {
+        const errors = this.exerciseLoader.loadErrors;
+        const errorsEl = document.getElementById('load-errors');
+        if (!errorsEl || errors.length === 0) return;
+
+        errorsEl.innerHTML = '<div class="load-errors-title">Some exercises could not be loaded:</div>';
+        const list = document.createElement('ul');
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            const source = document.createElement('code');
+            source.textContent = error.source;
+            item.appendChild(source);
+            item.appendChild(document.createTextNode(` ${error.message}`));
+            list.appendChild(item);
+        });
+        errorsEl.appendChild(list);
+        errorsEl.classList.remove('hidden');
+    }
+
     initEditor() {
         const textarea = document.getElementById('vim-editor');
         this.editor = CodeMirror.fromTextArea(textarea, {
@@ -74,13 +145,37 @@ class VimGame {
             this.onVimModeChange(e);
         });
 
+        // Enforce allowed_keys and forbiddenSequences before vim sees the key
+        this.editor.on('keydown', (cm, e) => {
+            this.onEditorKeyDown(e);
+        });
+
         // Track key events
         this.editor.on('vim-keypress', (key) => {
             this.onKeyPress(key);
         });
 
+        // Ex command lines and searches are typed into vim's prompt dialog
+        this.watchPrompts();
+
+        // :next, :reset and the other game commands
+        this.registerExCommands();
+
+        // Track completed commands
+        this.editor.on('vim-command-done', () => {
+            this.onVimCommandDone();
+        });
+
+        // Mappings from the learner's vimrc
+        this.editor.on('vimrc-mapping', (mapping) => {
+            this.onMapping(mapping);
+        });
+
         // Track content changes (but ignore programmatic changes)
         this.editor.on('change', (cm, changeObj) => {
+            // Any edit makes the last diff stale
+            this.clearDiffMarks();
+
             // Only check completion for user-initiated changes
             if (changeObj.origin !== 'setValue') {
                 this.checkExerciseCompletion();
@@ -105,66 +200,205 @@ class VimGame {
 
         // Don't override vim commands - let them work naturally
         // We'll track changes via the change event instead
-        
-        // Start motion buffer tracking
-        this.startMotionTracking();
     }
-    
-    startMotionTracking() {
-        // Poll for vim motion buffer changes
-        this.motionCheckInterval = setInterval(() => {
-            try {
-                // Access vim state through CodeMirror's vim adapter
-                const vim = this.editor.state.vim;
-                if (!vim) {
-                    console.log('No vim state found');
-                    return;
-                }
-                
-                const inputState = vim.inputState;
-                if (!inputState) {
-                    console.log('No inputState found');
-                    return;
-                }
-                
-                // Get the current key buffer
-                const keyBuffer = inputState.keyBuffer || [];
-                const currentBuffer = keyBuffer.join('');
-                
-                // Update motion display
-                this.updateMotionDisplay(currentBuffer);
-                
-                // Check if buffer was cleared (command executed)
-                if (this.currentMotionBuffer.length > 0 && keyBuffer.length === 0) {
-                    // Command was executed, add to history
-                    const executedCommand = this.currentMotionBuffer.join('');
-                    if (executedCommand) {
-                        this.addToCommandHistory(executedCommand);
-                        
-                        // Check completion after command execution
-                        setTimeout(() => {
-                            this.checkExerciseCompletion();
-                        }, 100); // Small delay to let DOM update
+
+    watchPrompts() {
+        const openDialog = this.editor.openDialog;
+        if (!openDialog) return;
+
+        this.editor.openDialog = (template, onSubmit, options = {}) => {
+            if (!onSubmit) {
+                // Not a prompt: the "(recording)" notice of a macro. The q that
+                // stops recording doesn't signal vim-command-done, but it does
+                // close the notice
+                return openDialog.call(this.editor, template, onSubmit, {
+                    ...options,
+                    onClose: (dialog) => {
+                        this.onVimCommandDone();
+                        if (options.onClose) options.onClose(dialog);
+                    }
+                });
+            }
+
+            this.commandAssembler.openPrompt();
+            let submitted = false;
+            // The key that opened the prompt was the last one recorded; game
+            // commands give back the keys from there on
+            this.promptStart = this.keyPressHistory.length - 1;
+            const promptKey = this.promptStart >= 0 ? this.keyPressHistory[this.promptStart].key : null;
+
+            return openDialog.call(this.editor, template, (value, e) => {
+                submitted = true;
+                this.commandAssembler.closePrompt(value);
+                if (promptKey === ':' && this.isExCommandRestricted(value)) {
+                    this.showKeyWarning(`:${value} is not part of this exercise; only game commands like :next work`,
+                        this.settings.strictMode);
+                    if (this.settings.strictMode) {
+                        this.forgetPromptKeys();
+                        return;
                     }
                 }
-                
-                // Update our tracking
-                this.currentMotionBuffer = [...keyBuffer];
-                
-                // Debug logging
-                if (currentBuffer) {
-                    console.log('Current vim motion:', currentBuffer);
+                onSubmit(value, e);
+                // Ex commands don't signal vim-command-done, so finish them here
+                this.onVimCommandDone();
+            }, {
+                ...options,
+                onKeyDown: (e, value, close) => {
+                    this.onPromptKeyDown(e);
+                    return options.onKeyDown ? options.onKeyDown(e, value, close) : false;
+                },
+                onClose: (dialog) => {
+                    // Enter closes the dialog just before submitting it
+                    queueMicrotask(() => {
+                        if (!submitted) this.onPromptCancelled();
+                    });
+                    if (options.onClose) options.onClose(dialog);
                 }
-            } catch (e) {
-                console.error('Error tracking vim motion:', e);
+            });
+        };
+    }
+
+    onPromptKeyDown(e) {
+        // Prompt keys are not restricted by allowed_keys, but they do count
+        if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+        this.scheduleIdleHint();
+
+        this.keyPressHistory.push({
+            key: VimKeys.toVim(e.key),
+            timestamp: Date.now()
+        });
+        this.updateEfficiencyMeter();
+    }
+
+    registerExCommands() {
+        // Vim.defineEx is global, so the replay editors get these too; only
+        // the game's editor runs them
+        VimGame.EX_COMMANDS.forEach(command => {
+            CodeMirror.Vim.defineEx(command.name, command.prefix, (cm, params) => {
+                if (cm !== this.editor) return;
+                this.runExCommand(command.name, params.args || []);
+            });
+        });
+    }
+
+    findExCommand(input) {
+        // Same prefix rule vim uses: at least the prefix, at most the full name
+        const match = /^\s*([a-z]+)/i.exec(input);
+        const name = match ? match[1] : '';
+        return VimGame.EX_COMMANDS.find(command =>
+            command.name.startsWith(name) && name.startsWith(command.prefix)) || null;
+    }
+
+    isExCommandRestricted(input) {
+        // Without : in allowed_keys only the game commands can be typed after it
+        return this.allowedKeys.length > 0 && !this.allowedKeys.includes(':') && !this.findExCommand(input);
+    }
+
+    forgetPromptKeys() {
+        // Game commands are not part of solving the exercise
+        this.keyPressHistory.splice(this.promptStart);
+        this.commandAssembler.reset();
+        this.updateMotionDisplay('');
+        this.updateEfficiencyMeter();
+    }
+
+    runExCommand(name, args) {
+        this.forgetPromptKeys();
+
+        if (name === 'next') {
+            this.navigateByCommand(() => this.nextExercise());
+        } else if (name === 'previous') {
+            this.navigateByCommand(() => this.previousExercise());
+        } else if (name === 'reset') {
+            this.resetExercise();
+        } else if (name === 'check') {
+            this.checkExerciseCompletion(true);
+        } else if (name === 'hint') {
+            this.revealHint();
+        } else if (name === 'chapter') {
+            this.goToChapterByCommand(args[0]);
+        }
+    }
+
+    navigateByCommand(move) {
+        // Moving by hand leaves review mode and ends a speedrun, like picking
+        // an exercise does
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+        this.stopSpeedrun();
+        move();
+        this.updateReviewUI();
+    }
+
+    goToChapterByCommand(arg) {
+        const chapters = this.exerciseLoader.chapters;
+        if (arg === undefined) {
+            const index = this.exerciseLoader.currentChapterIndex;
+            const chapter = chapters[index];
+            this.showVimMessage(`Chapter ${index + 1} of ${chapters.length}: ${chapter ? chapter.title : ''}`);
+            return;
+        }
+
+        // A 1-based number or a chapter folder name
+        const index = /^\d+$/.test(arg) ? Number(arg) - 1 : chapters.findIndex(chapter => chapter.id === arg);
+        if (!chapters[index]) {
+            this.showVimMessage(`There is no chapter ${arg}`, true);
+        } else if (!this.exerciseLoader.isChapterUnlocked(index)) {
+            this.showChapterLocked(index);
+        } else {
+            this.goToExercise(index, 0);
+        }
+    }
+
+    showChapterLocked(index) {
+        this.showVimMessage(`Chapter ${index + 1} is still locked`, true);
+    }
+
+    showVimMessage(message, isError = false) {
+        // On vim's command line, where the command was typed
+        const text = document.createElement('span');
+        text.className = isError ? 'vim-message error' : 'vim-message';
+        text.textContent = message;
+        this.editor.openNotification(text, { bottom: true, duration: VimGame.VIM_MESSAGE_MS });
+    }
+
+    onPromptCancelled() {
+        this.commandAssembler.cancelPrompt();
+        this.updateMotionDisplay('');
+    }
+
+    onVimCommandDone() {
+        // Vim reports some keys (like <Esc> leaving insert mode) right after
+        // signalling that the command is done, so collect the command once
+        // the current key has been fully handled
+        queueMicrotask(() => {
+            const command = this.commandAssembler.finish(this.editor.state.vim);
+            if (command) {
+                this.addToCommandHistory(command);
             }
-        }, 50); // Check every 50ms for responsive updates
+            // Motions and mode switches can complete cursor or mode goals
+            this.checkExerciseCompletion();
+            this.updateMotionDisplay(this.commandAssembler.pending());
+            // Esc that cancels an operator or register changes no mode, so
+            // vim-mode-change never refreshes the status line for it
+            this.updateModeDisplay();
+        });
     }
     
     updateMotionDisplay(motion) {
         const motionBufferEl = document.getElementById('motion-buffer');
         if (motionBufferEl) {
-            motionBufferEl.textContent = motion;
+            // Each part of the pending command in its own colour
+            motionBufferEl.textContent = '';
+            if (motion) {
+                this.commandAssembler.pendingSegments().forEach(segment => {
+                    const part = document.createElement('span');
+                    part.className = `motion-part ${segment.part}`;
+                    part.textContent = segment.text;
+                    part.title = VimGame.MOTION_PART_LABELS[segment.part] || '';
+                    motionBufferEl.appendChild(part);
+                });
+            }
             
             // Add visual feedback when typing
             if (motion) {
@@ -178,16 +412,12 @@ class VimGame {
     addToCommandHistory(command) {
         // Add to history array
         this.commandHistory.unshift({
-            command: command,
+            command: command.sequence,
+            parts: command,
             timestamp: Date.now(),
             exercise: this.currentExercise ? this.currentExercise.title : null
         });
         
-        // Keep only recent items
-        if (this.commandHistory.length > this.maxHistoryItems) {
-            this.commandHistory = this.commandHistory.slice(0, this.maxHistoryItems);
-        }
-        
         // Update UI
         this.updateHistoryDisplay();
     }
@@ -199,8 +429,8 @@ class VimGame {
         // Clear current display
         historyEl.innerHTML = '';
         
-        // Add history items
-        this.commandHistory.forEach(item => {
+        // Add the most recent history items
+        this.commandHistory.slice(0, this.maxHistoryItems).forEach(item => {
             const itemEl = document.createElement('div');
             itemEl.className = 'history-item';
             itemEl.textContent = item.command;
@@ -208,7 +438,7 @@ class VimGame {
             // Add tooltip with description
             const tooltip = document.createElement('span');
             tooltip.className = 'tooltip';
-            tooltip.textContent = this.getCommandDescription(item.command);
+            tooltip.textContent = this.getCommandDescription(item.parts);
             itemEl.appendChild(tooltip);
             
             // Check if command was optimal (we'll enhance this later)
@@ -221,46 +451,18 @@ class VimGame {
     }
     
     getCommandDescription(command) {
-        // Basic command descriptions
-        const descriptions = {
-            'x': 'Delete character',
-            'dd': 'Delete line',
-            'dw': 'Delete word',
-            'w': 'Jump to next word',
-            'b': 'Jump to previous word',
-            'h': 'Move left',
-            'l': 'Move right',
-            'j': 'Move down',
-            'k': 'Move up',
-            '0': 'Jump to line start',
-            '$': 'Jump to line end',
-            'i': 'Insert mode',
-            'a': 'Append mode',
-            'o': 'New line below',
-            'O': 'New line above',
-            'u': 'Undo',
-            'r': 'Replace character',
-            'yy': 'Yank line',
-            'p': 'Paste'
-        };
-        
-        // Check for count + command patterns
-        const match = command.match(/^(\d+)(.+)$/);
-        if (match) {
-            const count = match[1];
-            const baseCommand = match[2];
-            const baseDesc = descriptions[baseCommand];
-            if (baseDesc) {
-                return `${baseDesc} × ${count}`;
-            }
-        }
-        
-        return descriptions[command] || command;
+        // Accepts a command string ("d2w") or a command assembled from vim events
+        return this.commandDescriber.describe(command);
     }
     
     isOptimalCommand(command) {
-        // For now, consider commands with counts as optimal
-        // This will be enhanced with exercise-specific checks later
+        // A command is optimal if it is one of the exercise's accepted solutions;
+        // otherwise commands with counts are considered optimal
+        if (this.currentExercise && this.currentExercise.solutions.some(solution =>
+            VimKeys.join(solution) === command
+        )) {
+            return true;
+        }
         return /^\d+\w/.test(command);
     }
 
@@ -275,6 +477,204 @@ class VimGame {
             this.checkExerciseCompletion(true);
         });
 
+        // Hint button reveals the next hint tier
+        document.getElementById('hint-btn').addEventListener('click', () => {
+            this.revealHint();
+            this.editor.focus();
+        });
+
+        // A link pasted into the address bar of the open game
+        window.addEventListener('hashchange', () => {
+            if (this.openLink(location.hash)) {
+                this.updateUI();
+            }
+        });
+
+        // Review mode toggle
+        document.getElementById('review-btn').addEventListener('click', () => {
+            if (this.reviewMode) {
+                this.exitReview();
+            } else {
+                this.startReview();
+            }
+            this.editor.focus();
+        });
+
+        // Strict mode toggle
+        document.getElementById('strict-btn').addEventListener('click', () => {
+            this.settings.strictMode = !this.settings.strictMode;
+            this.saveSettings();
+            this.updateStrictModeUI();
+            this.editor.focus();
+        });
+
+        // Exercise picker
+        document.getElementById('exercise-status').addEventListener('click', () => {
+            this.showExercisePicker();
+        });
+        document.getElementById('picker-close-btn').addEventListener('click', () => {
+            this.hideExercisePicker();
+        });
+        document.getElementById('exercise-picker').addEventListener('click', (e) => {
+            if (e.target.id === 'exercise-picker') {
+                this.hideExercisePicker();
+            }
+        });
+        document.getElementById('exercise-picker').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideExercisePicker();
+            }
+        });
+
+        // Learner profiles
+        document.getElementById('profile-btn').addEventListener('click', () => {
+            this.showProfileManager();
+        });
+        document.getElementById('profile-close-btn').addEventListener('click', () => {
+            this.hideProfileManager();
+        });
+        document.getElementById('profile-manager').addEventListener('click', (e) => {
+            if (e.target.id === 'profile-manager') {
+                this.hideProfileManager();
+            }
+        });
+        document.getElementById('profile-manager').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideProfileManager();
+            }
+        });
+        document.getElementById('profile-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('profile-name-input');
+            this.runProfileAction(() => {
+                const profile = this.profiles.create(input.value);
+                input.value = '';
+                this.switchProfile(profile.id);
+            });
+        });
+        document.getElementById('profile-export-btn').addEventListener('click', () => {
+            const profile = this.profiles.active;
+            this.downloadJSON(this.profiles.exportProfile(), `vimfun-${profile.name}`);
+        });
+        document.getElementById('profile-export-all-btn').addEventListener('click', () => {
+            this.downloadJSON(this.profiles.exportAll(), 'vimfun-profiles');
+        });
+        document.getElementById('profile-import-btn').addEventListener('click', () => {
+            document.getElementById('profile-import-file').click();
+        });
+        document.getElementById('profile-import-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) await this.importProfiles(file);
+        });
+
+        // Learner's vimrc
+        document.getElementById('vimrc-btn').addEventListener('click', () => {
+            this.showVimrcPanel();
+        });
+        document.getElementById('vimrc-close-btn').addEventListener('click', () => {
+            this.hideVimrcPanel();
+        });
+        document.getElementById('vimrc-panel').addEventListener('click', (e) => {
+            if (e.target.id === 'vimrc-panel') {
+                this.hideVimrcPanel();
+            }
+        });
+        document.getElementById('vimrc-panel').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideVimrcPanel();
+            }
+        });
+        document.getElementById('vimrc-apply-btn').addEventListener('click', () => {
+            this.settings.vimrc = document.getElementById('vimrc-input').value;
+            this.saveSettings();
+            this.applyVimrc();
+            this.renderVimrcErrors();
+        });
+
+        // Exercise authoring
+        document.getElementById('author-btn').addEventListener('click', () => {
+            if (this.authoring) {
+                this.exitAuthoring();
+            } else {
+                this.startAuthoring();
+            }
+        });
+        document.getElementById('authoring-record-btn').addEventListener('click', () => {
+            this.recordAuthoring();
+        });
+        document.getElementById('authoring-restart-btn').addEventListener('click', () => {
+            this.restartRecording();
+        });
+        document.getElementById('authoring-finish-btn').addEventListener('click', () => {
+            this.finishAuthoring();
+        });
+        document.getElementById('authoring-close-btn').addEventListener('click', () => {
+            this.exitAuthoring();
+        });
+        document.getElementById('authoring-copy-btn').addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(this.authoring.markdown);
+                this.showAuthoringMessage('Copied to the clipboard');
+            } catch (e) {
+                // Clipboard access can be refused; the text is still selectable
+                document.getElementById('authoring-markdown').select();
+                this.showAuthoringMessage('Could not copy; the text is selected instead', true);
+            }
+        });
+        document.getElementById('authoring-share-btn').addEventListener('click', async () => {
+            const link = this.shareLink(this.authoring.markdown);
+            try {
+                await navigator.clipboard.writeText(link);
+                this.showAuthoringMessage('Link copied; anyone who opens it gets this exercise');
+            } catch (e) {
+                this.showAuthoringMessage(`Could not copy; the link is ${link}`, true);
+            }
+        });
+        document.getElementById('authoring-download-btn').addEventListener('click', () => {
+            this.downloadAuthoredExercise();
+        });
+
+        // Speedrun toggle
+        document.getElementById('speedrun-btn').addEventListener('click', () => {
+            if (this.speedrun) {
+                this.stopSpeedrun();
+            } else {
+                this.startSpeedrun();
+            }
+            this.editor.focus();
+        });
+
+        // Replay viewer
+        document.getElementById('replay-btn').addEventListener('click', () => {
+            this.showReplayViewer();
+        });
+        document.getElementById('replay-close-btn').addEventListener('click', () => {
+            this.hideReplayViewer();
+        });
+        document.getElementById('replay-viewer').addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideReplayViewer();
+            }
+        });
+        document.getElementById('replay-play-btn').addEventListener('click', () => {
+            if (this.replay.timer) {
+                this.pauseReplay();
+            } else {
+                this.playReplay();
+            }
+        });
+        document.getElementById('replay-restart-btn').addEventListener('click', () => {
+            this.restartReplay();
+            this.playReplay();
+        });
+        document.getElementById('replay-speed').addEventListener('change', (e) => {
+            this.replay.speed = Number(e.target.value);
+        });
+        document.getElementById('replay-ghost').addEventListener('change', (e) => {
+            this.setGhostVisible(e.target.checked);
+        });
+
         // Next exercise button (in modal)
         document.getElementById('next-exercise-btn').addEventListener('click', () => {
             this.nextExercise();
@@ -286,38 +686,72 @@ class VimGame {
         });
     }
 
-    loadExercise() {
-        this.currentExercise = this.exerciseLoader.getCurrentExercise();
+    loadExercise(variantSeed = null, customExercise = null) {
+        // A shared challenge from a link is played outside the chapters
+        this.customExercise = customExercise;
+        this.currentExercise = this.drawVariant(customExercise || this.exerciseLoader.getCurrentExercise(), variantSeed);
         if (!this.currentExercise) {
             console.error('No exercise available');
+            document.getElementById('exercise-title').textContent = 'No exercises available';
             return;
         }
 
         console.log('Loading exercise:', this.currentExercise);
 
+        // Loading an exercise ends any authoring session
+        if (this.authoring) {
+            this.authoring = null;
+            document.getElementById('authoring-panel').classList.add('hidden');
+            this.updateAuthorUI();
+        }
+
         // Reset state
         this.keyPressHistory = [];
         this.exerciseStartTime = Date.now();
+        this.exerciseCompleted = false;
+        this.requirementWarned = false;
+        this.resetCount = 0;
         this.allowedKeys = this.currentExercise.allowedKeys;
+        this.forbiddenSequences = this.currentExercise.forbiddenSequences;
+        this.recentKeys = [];
+        this.hints = new HintLadder(this.currentExercise);
+        this.failedChecks = 0;
+        this.scheduleIdleHint();
         
-        // Clear motion tracking
-        this.currentMotionBuffer = [];
+        // Clear command tracking
+        this.commandAssembler.reset();
         this.commandHistory = [];
         this.updateMotionDisplay('');
         this.updateHistoryDisplay();
 
-        // Set editor content
+        // Set editor content, starting every exercise in normal mode
+        this.leaveVimMode();
         this.editor.setValue(this.currentExercise.startText);
-        this.editor.setCursor(0, 0);
+        this.editor.setCursor(this.currentExercise.startCursor);
+        this.showGoalTargets();
         
         // Clear undo history to prevent undoing past exercises
         this.editor.clearHistory();
 
         // Update UI with exercise info
         this.updateExerciseUI();
+        this.updateEfficiencyMeter();
         
         // Hide success modal
         this.hideSuccessModal();
+
+        // Remember the position so a reload resumes here, and keep the
+        // address bar pointing at the exercise so it can be shared
+        if (!this.customExercise) {
+            this.saveProgress();
+            this.updateLink();
+        }
+
+        // A speedrun's clock runs while an exercise is on screen
+        if (this.speedrun) {
+            this.speedrun.startExercise();
+            this.renderSpeedrunPanel();
+        }
     }
 
     updateExerciseUI() {
@@ -327,28 +761,118 @@ class VimGame {
         document.getElementById('exercise-title').textContent = this.currentExercise.title;
         document.getElementById('instructions').textContent = this.currentExercise.instructions;
 
-        // Update keyboard hints dynamically based on exercise
-        const hints = this.currentExercise.hintKeys;
+        this.updateHintUI();
+
+        // Update progress
+        this.updateProgressUI();
+        this.updateReplayButton();
+    }
+
+    updateHintUI() {
+        const exercise = this.currentExercise;
+        const hints = exercise.hintKeys;
+
+        // The hint_keys row appears once the learner reaches the key tier.
+        // Shared links can carry any exercise, so its fields go in as text.
         const keyboardHints = document.querySelector('.keyboard-hints');
-        
-        if (hints && hints.length > 0) {
-            // Build dynamic hint text based on the exercise
-            let hintHTML = '<span class="hint-text">Hint: Use</span> ';
+        keyboardHints.textContent = '';
+        const addText = (text, title = '') => {
+            const span = document.createElement('span');
+            span.className = 'hint-text';
+            span.textContent = text;
+            if (title) span.title = title;
+            keyboardHints.append(keyboardHints.childNodes.length > 0 ? ' ' : '', span);
+        };
+        if (this.hints.reached('keys')) {
+            addText('Hint: Use');
             hints.forEach((key, index) => {
-                if (index > 0) {
-                    hintHTML += ' <span class="hint-text">or</span> ';
-                }
-                hintHTML += `<kbd>${key}</kbd>`;
+                if (index > 0) addText('or');
+                const kbd = document.createElement('kbd');
+                kbd.textContent = key;
+                kbd.title = this.getCommandDescription(VimKeys.join(VimKeys.split(String(key))));
+                keyboardHints.append(' ', kbd);
             });
-            keyboardHints.innerHTML = hintHTML;
+        } else if (this.hints.hasMore) {
+            addText('Stuck? Press Hint or type :hint');
         }
-        
-        // Update action instruction - just use the exercise instructions directly
+        if (exercise.par) {
+            addText(`· par ${exercise.par}`);
+        }
+        if (exercise.variantSeed) {
+            addText(`· variant ${exercise.variantSeed}`, 'Generated exercise; the variant number reproduces it');
+        }
+
+        // The latest hint revealed, under the instructions
         const actionInstruction = document.getElementById('action-instruction');
         actionInstruction.textContent = '';
+        const tier = this.hints.current;
+        if (tier) {
+            const label = document.createElement('span');
+            label.className = 'hint-tier-label';
+            label.textContent = `Hint ${this.hints.revealed} of ${this.hints.tiers.length}:`;
+            actionInstruction.append(label, ' ');
 
-        // Update progress
-        this.updateProgressUI();
+            if (tier.level === 'nudge') {
+                actionInstruction.append(tier.text);
+            } else if (tier.level === 'keys') {
+                actionInstruction.append('these keys will help: ');
+                tier.keys.forEach((key, index) => {
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = key;
+                    actionInstruction.append(index > 0 ? ' ' : '', kbd);
+                });
+            } else {
+                const sequence = VimKeys.join(tier.keys);
+                const description = this.getCommandDescription(sequence);
+                const kbd = document.createElement('kbd');
+                kbd.textContent = sequence;
+                actionInstruction.append('type ', kbd, description && description !== sequence ? ` (${description})` : '');
+            }
+        }
+
+        const hintBtn = document.getElementById('hint-btn');
+        hintBtn.disabled = !this.hints.hasMore;
+        hintBtn.textContent = this.hints.tiers.length > 0
+            ? `Hint ${this.hints.revealed}/${this.hints.tiers.length}`
+            : 'Hint';
+    }
+
+    revealHint({ automatic = false } = {}) {
+        if (!this.currentExercise || this.exerciseCompleted || this.authoring) return;
+
+        const tier = this.hints.reveal({ automatic: automatic });
+        if (!tier) {
+            if (!automatic) this.showVimMessage('There are no more hints for this exercise', true);
+            return;
+        }
+        this.updateHintUI();
+        this.scheduleIdleHint();
+    }
+
+    scheduleIdleHint() {
+        // A learner who stops typing for a while gets the next hint; never
+        // during a speedrun, where hints are only given on request
+        clearTimeout(this.idleHintTimer);
+        this.idleHintTimer = null;
+        if (!this.hints || !this.hints.hasMore || this.exerciseCompleted || this.authoring || this.speedrun) return;
+        this.idleHintTimer = setTimeout(() => this.revealHint({ automatic: true }), VimGame.HINT_IDLE_MS);
+    }
+
+    onFailedCheck() {
+        // Every few failed checks of an attempt bring the next hint; never
+        // during a speedrun, as with idle hints
+        if (this.speedrun) return;
+        this.failedChecks++;
+        if (this.failedChecks % VimGame.CHECKS_PER_HINT === 0) {
+            this.revealHint({ automatic: true });
+        }
+    }
+
+    describeHintUse() {
+        const level = this.hints.level;
+        if (level === 'none') return '';
+        if (level === 'solution') return ' · after seeing the solution';
+        return ` · with ${this.hints.revealed} hint${this.hints.revealed === 1 ? '' : 's'}`;
     }
 
     updateProgressUI() {
@@ -361,92 +885,977 @@ class VimGame {
             chapter ? chapter.exercises.length : 0;
     }
 
+    updateStrictModeUI() {
+        const strictBtn = document.getElementById('strict-btn');
+        strictBtn.textContent = `Strict keys: ${this.settings.strictMode ? 'on' : 'off'}`;
+        strictBtn.classList.toggle('active', this.settings.strictMode);
+        strictBtn.title = this.settings.strictMode
+            ? 'Keys outside this exercise are blocked'
+            : 'Keys outside this exercise are only flagged';
+    }
+
+    updateReviewUI() {
+        const reviewBtn = document.getElementById('review-btn');
+        if (this.reviewMode) {
+            const left = this.reviewScheduler.queue.length;
+            reviewBtn.textContent = `Exit review (${left} left)`;
+            reviewBtn.disabled = false;
+            reviewBtn.title = 'Go back to where you were';
+        } else {
+            const due = this.dueReviews().length;
+            reviewBtn.textContent = due > 0 ? `Review (${due} due)` : 'Review';
+            reviewBtn.disabled = due === 0;
+            reviewBtn.title = due > 0
+                ? 'Practise exercises you completed earlier'
+                : 'No reviews due today';
+        }
+        reviewBtn.classList.toggle('active', this.reviewMode);
+    }
+
     updateUI() {
         this.updateExerciseUI();
         this.updateProgressUI();
+        this.updateStrictModeUI();
+        this.updateReviewUI();
+        this.updateSpeedrunUI();
+        this.updateProfileUI();
+        this.updateAuthorUI();
+        this.updateSessionSummary();
     }
 
     checkExerciseCompletion(isManualCheck = false) {
-        if (!this.currentExercise) return;
+        if (!this.currentExercise || this.exerciseCompleted || this.authoring) return;
+
+        // Exact unless the exercise's compare policy says otherwise
+        if (!TextMatcher.matches(this.editor.getValue(), this.currentExercise)) {
+            if (isManualCheck && this.currentExercise.compare.includes('regex')) {
+                // A pattern has no single target text to diff against
+                this.showCheckFeedback(false, "The text doesn't match the expected pattern yet");
+            } else if (isManualCheck) {
+                // Show where the text diverges, both inline and in the feedback
+                const runs = this.showTextDiff();
+                this.showCheckFeedback(false, this.describeDiff(runs));
+            }
+            if (isManualCheck) this.onFailedCheck();
+            return;
+        }
 
-        const currentText = this.editor.getValue().trim();
-        const targetText = this.currentExercise.endText.trim();
+        const missingCommands = this.findMissingCommands();
+        if (missingCommands.length > 0) {
+            // Say so once per attempt, since editing further can't fix it
+            if (isManualCheck || !this.requirementWarned) {
+                this.requirementWarned = true;
+                this.showCheckFeedback(false,
+                    `The text is right, but this exercise must be solved with ${missingCommands.join(' and ')}. Press Reset and try again`);
+            }
+            return;
+        }
 
-        if (currentText === targetText) {
+        const unmetGoal = this.findUnmetGoal();
+        if (!unmetGoal) {
             this.onExerciseComplete();
         } else if (isManualCheck) {
-            // Show feedback for failed manual check
-            this.showCheckFeedback(false);
+            this.showCheckFeedback(false, `The text is right — ${unmetGoal}`);
         }
     }
 
-    onExerciseComplete() {
-        // Show success feedback first
-        this.showCheckFeedback(true);
-        
-        // Check if user used the optimal command (if specified)
-        if (this.currentExercise.optimalKeySequence) {
-            const usedOptimal = this.checkIfUsedOptimalCommand();
-            if (!usedOptimal) {
-                this.showOptimalCommandHint();
-                // Don't advance - let user retry with the optimal command
-                return;
+    findMissingCommands() {
+        // Only commands since the last reset count, including the one being
+        // typed: edits land before vim reports the command as done
+        const attempt = this.commandHistory
+            .filter(item => item.timestamp >= this.exerciseStartTime)
+            .map(item => item.parts);
+        attempt.push(this.commandAssembler.peek());
+        return this.currentExercise.requiredCommands.filter(requirement =>
+            !attempt.some(parts => CommandAssembler.usesCommand(parts, requirement)));
+    }
+
+    findUnmetGoal() {
+        // Selection, cursor and mode goals only count once the text matches
+        const { endSelection, endCursor, endMode } = this.currentExercise;
+
+        if (endSelection) {
+            const selection = VisualSelection.read(this.editor);
+            if (!VisualSelection.matches(selection, endSelection)) {
+                return `now select ${VisualSelection.describe(endSelection)}`;
             }
         }
-        
-        // Update progress
-        const chapter = this.exerciseLoader.getCurrentChapter();
-        if (chapter) {
-            chapter.completed = Math.min(chapter.completed + 1, chapter.total);
+        if (endCursor) {
+            const cursor = this.editor.getCursor();
+            if (cursor.line !== endCursor.line || cursor.ch !== endCursor.ch) {
+                return `now move the cursor to line ${endCursor.line + 1}, column ${endCursor.ch + 1}`;
+            }
+        }
+        if (endMode && this.vimMode !== endMode) {
+            return `now finish in ${endMode} mode`;
         }
+        return null;
+    }
 
-        // Save progress to localStorage
-        this.saveProgress();
+    showGoalTargets() {
+        this.goalMarks.forEach(mark => mark.clear());
+        this.goalMarks = [];
 
-        // Auto-advance to next exercise after a short delay
-        setTimeout(() => {
-            this.nextExercise();
-        }, 800); // Reduced from 1500ms to 800ms for faster flow
+        // Targets only make sense in the starting text when a drill moves or
+        // selects without editing (same text before and after)
+        const { endCursor, endSelection, startText, endText } = this.currentExercise;
+        if (startText !== endText) return;
+
+        if (endCursor) {
+            const to = { line: endCursor.line, ch: endCursor.ch + 1 };
+            this.goalMarks.push(this.editor.markText(endCursor, to, {
+                className: 'cursor-target',
+                title: 'Move the cursor here'
+            }));
+        }
+
+        if (endSelection) {
+            this.selectionTargetRanges(endSelection).forEach(range => {
+                this.goalMarks.push(this.editor.markText(range.from, range.to, {
+                    className: 'selection-target',
+                    title: 'Select this'
+                }));
+            });
+        }
     }
-    
-    showCheckFeedback(isSuccess) {
-        const feedback = document.createElement('div');
-        feedback.className = isSuccess ? 'check-feedback success' : 'check-feedback failure';
-        
-        if (isSuccess) {
-            feedback.innerHTML = `
-                <div class="feedback-content">
-                    <div class="feedback-icon">✓</div>
-                    <div class="feedback-text">Correct!</div>
-                </div>
-            `;
-        } else {
-            feedback.innerHTML = `
-                <div class="feedback-content">
-                    <div class="feedback-icon">✗</div>
-                    <div class="feedback-text">Not quite right yet</div>
-                    <div class="feedback-hint">Keep trying or use the Reset button</div>
-                </div>
-            `;
+
+    selectionTargetRanges(target) {
+        // Editor ranges (end-exclusive) covering a vim-style target selection
+        const { from, to, mode } = target;
+        if (mode === 'characterwise') {
+            return [{ from: from, to: { line: to.line, ch: to.ch + 1 } }];
         }
-        
-        document.body.appendChild(feedback);
-        
-        // Remove after delay
-        setTimeout(() => {
-            feedback.remove();
-        }, isSuccess ? 1200 : 3000);
+
+        const ranges = [];
+        for (let line = from.line; line <= to.line; line++) {
+            ranges.push(mode === 'linewise'
+                ? { from: { line: line, ch: 0 }, to: { line: line, ch: this.editor.getLine(line).length } }
+                : { from: { line: line, ch: from.ch }, to: { line: line, ch: to.ch + 1 } });
+        }
+        return ranges;
     }
-    
-    checkIfUsedOptimalCommand() {
-        if (!this.currentExercise.optimalKeySequence) return true;
-        
-        const optimalCommand = this.currentExercise.optimalKeySequence.join('');
-        
-        // Check if the optimal command was used in the command history
-        return this.commandHistory.some(item => 
-            item.command === optimalCommand
-        );
+
+    showTextDiff() {
+        this.clearDiffMarks();
+
+        const runs = this.closestDiff(this.editor.getValue());
+
+        runs.forEach(run => {
+            const from = this.editor.posFromIndex(run.from);
+            const to = this.editor.posFromIndex(run.to);
+
+            if (run.type === 'extra') {
+                this.diffMarks.push(this.editor.markText(from, to, {
+                    className: 'diff-extra',
+                    title: 'Not in the target text'
+                }));
+            } else if (run.type === 'changed') {
+                this.diffMarks.push(this.editor.markText(from, to, {
+                    className: 'diff-changed',
+                    title: `Should be "${run.expected}"`
+                }));
+            } else if (run.type === 'missing') {
+                const widget = document.createElement('span');
+                widget.className = 'diff-missing';
+                widget.textContent = run.text.replace(/\n/g, '↵');
+                widget.title = 'Missing from your text';
+                this.diffMarks.push(this.editor.setBookmark(from, { widget: widget, insertLeft: true }));
+            }
+        });
+
+        return runs;
+    }
+
+    closestDiff(actual) {
+        // Diff against the acceptable End text nearest to the learner's, with
+        // the differences the compare policy ignores left out
+        const { endTexts, compare } = this.currentExercise;
+        const size = runs => {
+            const counts = TextDiff.summarize(runs);
+            return counts.extra + counts.missing + counts.changed;
+        };
+        return endTexts
+            .map(expected => TextDiff.diff(actual, TextMatcher.target(actual, expected, compare)))
+            .reduce((best, runs) => size(runs) < size(best) ? runs : best);
+    }
+
+    clearDiffMarks() {
+        this.diffMarks.forEach(mark => mark.clear());
+        this.diffMarks = [];
+    }
+
+    describeDiff(runs) {
+        const counts = TextDiff.summarize(runs);
+        const plural = count => `${count} character${count === 1 ? '' : 's'}`;
+        const parts = [];
+        if (counts.extra) parts.push(`${plural(counts.extra)} extra`);
+        if (counts.missing) parts.push(`${plural(counts.missing)} missing`);
+        if (counts.changed) parts.push(`${plural(counts.changed)} changed`);
+        return parts.length > 0 ? `${parts.join(', ')} — see the highlights` : '';
+    }
+
+    onExerciseComplete() {
+        // Both the change event and command tracking can report completion
+        this.exerciseCompleted = true;
+        this.scheduleIdleHint();
+        const hintLevel = this.hints.level;
+
+        // Show success feedback first, scored against par
+        const score = this.scoreKeystrokes();
+        this.showCheckFeedback(true, this.describeScore(score) + this.describeHintUse());
+        
+        // Suggest an accepted solution if the learner found another way
+        const usedAcceptedSolution = this.usedAcceptedSolution();
+        if (!usedAcceptedSolution) {
+            this.showOptimalCommandHint();
+        }
+        if (this.currentExercise.explanation) {
+            this.showExplanation(this.currentExercise.explanation);
+        }
+
+        // A shared challenge isn't part of any chapter, so it leaves
+        // progress, reviews and replays alone and stays on screen
+        if (this.customExercise) return;
+        
+        // Update progress
+        const chapter = this.exerciseLoader.getCurrentChapter();
+        const durationMs = Date.now() - this.exerciseStartTime;
+        this.exerciseLoader.markCompleted(this.currentExercise.path, {
+            keystrokes: score.keystrokes,
+            par: score.par,
+            durationMs: durationMs,
+            hintLevel: hintLevel
+        });
+
+        // Record session statistics
+        this.sessionStats.recordCompletion({
+            path: this.currentExercise.path,
+            title: this.currentExercise.title,
+            chapterId: chapter ? chapter.id : null,
+            keystrokes: score.keystrokes,
+            par: score.par,
+            durationMs: durationMs,
+            resets: this.resetCount,
+            usedAcceptedSolution: usedAcceptedSolution,
+            keys: this.keyPressHistory.map(entry => entry.key)
+        });
+        this.updateSessionSummary();
+        this.saveBestAttempt(score.keystrokes, durationMs);
+
+        // Schedule the next review from how this attempt went
+        this.reviewScheduler.schedule(this.currentExercise.path, {
+            keystrokes: score.keystrokes,
+            par: score.par,
+            durationMs: durationMs,
+            resets: this.resetCount,
+            usedAcceptedSolution: usedAcceptedSolution,
+            hintLevel: hintLevel
+        });
+
+        // Save progress to the learner's profile
+        this.saveProgress();
+        this.updateReviewUI();
+
+        if (this.speedrun) {
+            this.speedrun.recordSplit({
+                path: this.currentExercise.path,
+                title: this.currentExercise.title,
+                keystrokes: score.keystrokes,
+                par: score.par,
+                usedAcceptedSolution: usedAcceptedSolution,
+                hintLevel: hintLevel
+            });
+            this.renderSpeedrunPanel();
+        }
+
+        // Finishing the last exercise of a chapter earns a chapter summary
+        const finishesChapter = !this.reviewMode && !this.speedrun && chapter &&
+            this.exerciseLoader.currentExerciseIndex === chapter.exercises.length - 1;
+
+        // Auto-advance to next exercise after a short delay
+        setTimeout(() => {
+            if (this.speedrun && this.speedrun.finished) {
+                this.finishSpeedrun();
+                return;
+            }
+            if (this.reviewMode) {
+                this.nextReview();
+                return;
+            }
+            this.nextExercise();
+            if (finishesChapter) {
+                this.showChapterSummary(chapter);
+            }
+        }, 800); // Reduced from 1500ms to 800ms for faster flow
+    }
+
+    dueReviews() {
+        const paths = this.exerciseLoader.chapters.flatMap(chapter => chapter.exercises.map(exercise => exercise.path));
+        return this.reviewScheduler.dailyQueue(paths);
+    }
+
+    startReview() {
+        if (this.dueReviews().length === 0) return;
+        this.stopSpeedrun();
+
+        const current = this.exerciseLoader.getCurrentExercise();
+        this.reviewReturnPath = current ? current.path : null;
+        this.reviewMode = true;
+        this.nextReview();
+    }
+
+    nextReview() {
+        const path = this.dueReviews()[0];
+        const position = path && this.exerciseLoader.findExercise(path);
+        if (!position) {
+            this.exitReview();
+            this.showCheckFeedback(true, 'Review done for today');
+            return;
+        }
+
+        this.exerciseLoader.goTo(position.chapterIndex, position.exerciseIndex);
+        this.loadExercise();
+        this.updateUI();
+    }
+
+    exitReview() {
+        this.reviewMode = false;
+
+        // Return to the exercise the learner left for the review
+        const position = this.reviewReturnPath && this.exerciseLoader.findExercise(this.reviewReturnPath);
+        if (position) {
+            this.exerciseLoader.goTo(position.chapterIndex, position.exerciseIndex);
+            this.loadExercise();
+        }
+        this.reviewReturnPath = null;
+        this.updateUI();
+    }
+
+    startAuthoring() {
+        // Authoring borrows the editor, so nothing else may be running
+        this.stopSpeedrun();
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+
+        this.authoring = { stage: 'start' };
+        this.allowedKeys = [];
+        this.forbiddenSequences = [];
+        this.goalMarks.forEach(mark => mark.clear());
+        this.goalMarks = [];
+        this.clearDiffMarks();
+
+        this.leaveVimMode();
+        this.editor.setValue('');
+        this.editor.clearHistory();
+        this.clearAuthoringHistory();
+
+        document.getElementById('authoring-panel').classList.remove('hidden');
+        document.getElementById('authoring-output').classList.add('hidden');
+        this.updateAuthoringUI();
+        this.updateAuthorUI();
+        this.editor.focus();
+    }
+
+    recordAuthoring() {
+        // The exercise starts from whatever is in the editor now, in normal mode
+        this.leaveVimMode();
+        this.authoring = {
+            stage: 'record',
+            startText: this.editor.getValue(),
+            startCursor: this.editor.getCursor()
+        };
+        this.editor.clearHistory();
+        this.clearAuthoringHistory();
+        this.updateAuthoringUI();
+        this.editor.focus();
+    }
+
+    restartRecording() {
+        this.leaveVimMode();
+        this.editor.setValue(this.authoring.startText);
+        this.editor.setCursor(this.authoring.startCursor);
+        this.editor.clearHistory();
+        this.clearAuthoringHistory();
+        this.editor.focus();
+    }
+
+    clearAuthoringHistory() {
+        this.keyPressHistory = [];
+        this.recentKeys = [];
+        this.commandAssembler.reset();
+        this.commandHistory = [];
+        this.updateHistoryDisplay();
+        this.updateMotionDisplay('');
+        this.updateEfficiencyMeter();
+    }
+
+    finishAuthoring() {
+        // Commands are kept newest first; a command still open (an insert
+        // session, say) is part of the solution too
+        const commands = this.commandHistory.slice().reverse().map(item => item.parts);
+        const pending = this.commandAssembler.peek();
+        if (pending) commands.push(pending);
+
+        if (this.keyPressHistory.length === 0) {
+            this.showAuthoringMessage('Perform the solution in the editor before finishing', true);
+            return;
+        }
+
+        const exercise = ExerciseSerializer.fromRecording({
+            title: document.getElementById('authoring-title').value.trim(),
+            instructions: document.getElementById('authoring-instructions').value.trim(),
+            startText: this.authoring.startText,
+            startCursor: this.authoring.startCursor,
+            endText: this.editor.getValue(),
+            endCursor: document.getElementById('authoring-cursor').checked ? this.editor.getCursor() : null,
+            endMode: this.vimMode,
+            endSelection: VisualSelection.read(this.editor),
+            keys: this.executedHistory().map(entry => entry.key),
+            commands: commands
+        });
+        const markdown = ExerciseSerializer.serialize(exercise);
+        const fileName = `${ExerciseSerializer.slug(exercise.title)}.md`;
+
+        // The file is only useful if the game reads back what was recorded
+        let problem = null;
+        try {
+            const parsed = this.exerciseLoader.parseExercise(markdown, `exercises/authoring/${fileName}`);
+            const differences = ExerciseSerializer.differences(parsed, exercise);
+            if (differences.length > 0) {
+                problem = `The exercise format can't hold this exactly (${differences.join(', ')} changed when read back)`;
+            }
+        } catch (e) {
+            problem = `The exercise format can't hold this: ${e.message}`;
+        }
+
+        this.authoring = { ...this.authoring, stage: 'done', markdown: markdown, fileName: fileName };
+        document.getElementById('authoring-markdown').value = markdown;
+        document.getElementById('authoring-output').classList.remove('hidden');
+        this.updateAuthoringUI();
+        if (problem) {
+            this.showAuthoringMessage(problem, true);
+        } else {
+            this.showAuthoringMessage(`Save this as ${fileName} in a chapter folder and list it in chapter.yaml`);
+        }
+    }
+
+    exitAuthoring() {
+        // Loading the current exercise hides the panel and restores everything
+        this.loadExercise();
+        this.updateUI();
+    }
+
+    updateAuthorUI() {
+        document.getElementById('author-btn').textContent = this.authoring ? 'Stop authoring' : 'Author';
+    }
+
+    updateAuthoringUI() {
+        const stage = this.authoring ? this.authoring.stage : null;
+        const steps = {
+            start: 'Type the start text, leave the cursor where the learner starts, then press Start recording.',
+            record: 'Recording: solve the exercise the way you want it solved, then press Finish.',
+            done: 'Here is the exercise file.'
+        };
+        document.getElementById('authoring-step').textContent = steps[stage] || '';
+        document.getElementById('authoring-record-btn').classList.toggle('hidden', stage !== 'start');
+        document.getElementById('authoring-finish-btn').classList.toggle('hidden', stage !== 'record');
+        document.getElementById('authoring-restart-btn').classList.toggle('hidden', stage !== 'record');
+        this.showAuthoringMessage('');
+    }
+
+    showAuthoringMessage(message, isError = false) {
+        const messageEl = document.getElementById('authoring-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+        messageEl.classList.toggle('hidden', !message);
+    }
+
+    downloadAuthoredExercise() {
+        const blob = new Blob([this.authoring.markdown], { type: 'text/markdown' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.authoring.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    startSpeedrun() {
+        const loader = this.exerciseLoader;
+        const chapter = loader.getCurrentChapter();
+        if (!chapter || chapter.exercises.length === 0) return;
+        if (!loader.isChapterUnlocked(loader.currentChapterIndex)) return;
+
+        // A run goes through the chapter in order, not through the review queue
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+
+        this.speedrun = new Speedrun(chapter, this.leaderboard.personalBest(chapter.id));
+        this.speedrunTimer = setInterval(() => this.updateSpeedrunClock(), VimGame.SPEEDRUN_TICK_MS);
+        document.getElementById('speedrun-panel').classList.remove('hidden');
+
+        loader.goTo(loader.currentChapterIndex, 0);
+        this.loadExercise();
+        this.updateUI();
+    }
+
+    stopSpeedrun() {
+        if (!this.speedrun) return;
+        clearInterval(this.speedrunTimer);
+        this.speedrunTimer = null;
+        this.speedrun = null;
+        document.getElementById('speedrun-panel').classList.add('hidden');
+        this.updateSpeedrunUI();
+    }
+
+    finishSpeedrun() {
+        const run = this.speedrun.result();
+        const rank = this.leaderboard.add(run);
+        this.saveLeaderboard();
+        this.stopSpeedrun();
+
+        const chapter = this.exerciseLoader.chapters.find(ch => ch.id === run.chapterId);
+        this.showSpeedrunResults(chapter, run, rank);
+    }
+
+    updateSpeedrunUI() {
+        const speedrunBtn = document.getElementById('speedrun-btn');
+        speedrunBtn.textContent = this.speedrun ? 'Stop run' : 'Speedrun';
+        speedrunBtn.title = this.speedrun
+            ? 'Stop the run without recording it'
+            : 'Race through this chapter against the clock';
+        speedrunBtn.classList.toggle('active', Boolean(this.speedrun));
+    }
+
+    updateSpeedrunClock() {
+        if (!this.speedrun) return;
+        document.getElementById('speedrun-clock').textContent = Speedrun.formatTime(this.speedrun.elapsed());
+    }
+
+    renderSpeedrunPanel() {
+        const run = this.speedrun;
+        const chapter = this.exerciseLoader.getCurrentChapter();
+        const best = run.personalBest;
+
+        document.getElementById('speedrun-best').textContent = best
+            ? `Personal best ${Speedrun.formatTime(best.totalMs)}`
+            : 'No personal best yet';
+        this.updateSpeedrunClock();
+
+        const splitsEl = document.getElementById('speedrun-splits');
+        splitsEl.innerHTML = '';
+        chapter.exercises.forEach((exercise, index) => {
+            const split = run.splits[index];
+            const bestSplit = best && best.splits[index];
+
+            const item = document.createElement('li');
+            item.className = 'speedrun-split';
+            if (index === run.splits.length && !run.finished) item.classList.add('current');
+            item.innerHTML = '<span class="split-title"></span><span class="split-time"></span><span class="split-delta"></span>';
+            item.querySelector('.split-title').textContent = exercise.title;
+
+            const timeEl = item.querySelector('.split-time');
+            if (split) {
+                timeEl.textContent = Speedrun.formatTime(split.totalMs);
+                if (split.penaltyMs > 0) {
+                    timeEl.title = `Includes ${Speedrun.formatTime(split.penaltyMs)} of penalties`;
+                    timeEl.classList.add('penalized');
+                }
+            } else if (bestSplit) {
+                // Upcoming splits show the personal best to beat
+                timeEl.textContent = Speedrun.formatTime(bestSplit.totalMs);
+                timeEl.classList.add('best');
+            }
+
+            const deltaEl = item.querySelector('.split-delta');
+            if (split && split.deltaMs !== null) {
+                deltaEl.textContent = Speedrun.formatDelta(split.deltaMs);
+                deltaEl.classList.add(split.deltaMs <= 0 ? 'ahead' : 'behind');
+            }
+            splitsEl.appendChild(item);
+        });
+    }
+
+    showSpeedrunResults(chapter, run, rank) {
+        const runs = this.leaderboard.runs(run.chapterId);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'chapter-summary';
+        overlay.innerHTML = `
+            <div class="summary-content">
+                <h2></h2>
+                <p class="summary-totals"></p>
+                <table class="summary-table">
+                    <thead>
+                        <tr><th>#</th><th>Time</th><th>Penalties</th><th>Date</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <button class="summary-close">Continue</button>
+            </div>
+        `;
+        const title = chapter ? `${chapter.icon || ''} ${chapter.title}`.trim() : 'Chapter';
+        overlay.querySelector('h2').textContent = `${title} speedrun: ${Speedrun.formatTime(run.totalMs)}`;
+        overlay.querySelector('.summary-totals').textContent = rank === 1
+            ? 'New personal best!'
+            : rank ? `Rank ${rank} of ${runs.length}` : `Not in your top ${SpeedrunLeaderboard.SIZE}`;
+
+        const tbody = overlay.querySelector('tbody');
+        runs.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (entry === run) row.className = 'current-run';
+            const cells = [
+                index + 1,
+                Speedrun.formatTime(entry.totalMs),
+                entry.penaltyMs > 0 ? Speedrun.formatTime(entry.penaltyMs) : '—',
+                new Date(entry.finishedAt).toLocaleDateString()
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        const closeBtn = overlay.querySelector('.summary-close');
+        closeBtn.addEventListener('click', () => {
+            overlay.remove();
+            this.editor.focus();
+        });
+
+        document.body.appendChild(overlay);
+        closeBtn.focus();
+    }
+
+    loadLeaderboard() {
+        const saved = this.profiles.getItem('speedruns');
+        if (saved) {
+            try {
+                this.leaderboard = new SpeedrunLeaderboard(JSON.parse(saved));
+            } catch (e) {
+                console.error('Could not load speedruns:', e);
+            }
+        }
+    }
+
+    saveLeaderboard() {
+        this.profiles.setItem('speedruns', JSON.stringify(this.leaderboard.toJSON()));
+    }
+
+    saveBestAttempt(keystrokes, durationMs) {
+        const path = this.currentExercise.path;
+        const attempt = {
+            keys: KeystrokeReplay.fromHistory(this.executedHistory()),
+            keystrokes: keystrokes,
+            durationMs: durationMs,
+            // Generated exercises are replayed on the variant they were solved on
+            variantSeed: this.currentExercise.variantSeed || null,
+            recordedAt: Date.now()
+        };
+        if (!KeystrokeReplay.isBetter(attempt, this.bestAttempts[path])) return;
+
+        this.bestAttempts[path] = attempt;
+        this.profiles.setItem('replays', JSON.stringify(this.bestAttempts));
+        this.updateReplayButton();
+    }
+
+    loadBestAttempts() {
+        const saved = this.profiles.getItem('replays');
+        if (saved) {
+            try {
+                this.bestAttempts = JSON.parse(saved);
+            } catch (e) {
+                console.error('Could not load replays:', e);
+            }
+        }
+    }
+
+    updateReplayButton() {
+        const replayBtn = document.getElementById('replay-btn');
+        const best = this.currentExercise && this.bestAttempts[this.currentExercise.path];
+        replayBtn.disabled = !best;
+        replayBtn.title = best
+            ? `Watch your best attempt: ${best.keystrokes} keystrokes in ${SessionStats.formatDuration(best.durationMs)}`
+            : 'Complete this exercise to record a replay';
+    }
+
+    showReplayViewer() {
+        const path = this.currentExercise && this.currentExercise.path;
+        const best = path && this.bestAttempts[path];
+        if (!best) return;
+
+        const viewer = document.getElementById('replay-viewer');
+        viewer.classList.remove('hidden');
+
+        // The editors are created on first use, once they are visible to measure
+        if (!this.replayEditors) {
+            const options = {
+                mode: 'text',
+                theme: 'monokai',
+                keyMap: 'vim',
+                lineNumbers: true,
+                lineWrapping: true,
+                // Only the replay types here
+                readOnly: 'nocursor'
+            };
+            this.replayEditors = {
+                best: CodeMirror.fromTextArea(document.getElementById('replay-editor'), options),
+                ghost: CodeMirror.fromTextArea(document.getElementById('ghost-editor'), options)
+            };
+        }
+
+        // Replay on the variant the attempt was made on
+        const exercise = this.drawVariant(this.exerciseLoader.getCurrentExercise(), best.variantSeed);
+        this.replay = {
+            exercise: exercise,
+            best: new KeystrokeReplay(this.replayEditors.best, exercise, best.keys),
+            ghost: new KeystrokeReplay(this.replayEditors.ghost, exercise,
+                KeystrokeReplay.evenlySpaced(exercise.optimalKeySequence || [])),
+            speed: Number(document.getElementById('replay-speed').value),
+            elapsed: 0,
+            timer: null
+        };
+
+        document.getElementById('replay-title').textContent = `Replay: ${exercise.title}`;
+        document.getElementById('replay-best-info').textContent =
+            `${best.keystrokes} keystrokes · ${SessionStats.formatDuration(best.durationMs)}`;
+        document.getElementById('replay-ghost-info').textContent = exercise.par ? `par ${exercise.par}` : '';
+
+        const ghostToggle = document.getElementById('replay-ghost');
+        ghostToggle.disabled = this.replay.ghost.keys.length === 0;
+        if (ghostToggle.disabled) ghostToggle.checked = false;
+        this.setGhostVisible(ghostToggle.checked);
+
+        this.replayEditors.best.refresh();
+        this.updateReplayUI();
+        document.getElementById('replay-play-btn').focus();
+    }
+
+    hideReplayViewer() {
+        this.pauseReplay();
+        document.getElementById('replay-viewer').classList.add('hidden');
+        this.editor.focus();
+    }
+
+    setGhostVisible(visible) {
+        document.getElementById('ghost-pane').classList.toggle('hidden', !visible);
+        if (visible) this.replayEditors.ghost.refresh();
+        // Both sides start together so they can be compared
+        this.pauseReplay();
+        this.restartReplay();
+    }
+
+    replayPlayers() {
+        const players = [this.replay.best];
+        if (document.getElementById('replay-ghost').checked) players.push(this.replay.ghost);
+        return players;
+    }
+
+    playReplay() {
+        if (this.replay.timer) return;
+        if (this.replayPlayers().every(player => player.finished)) this.restartReplay();
+
+        this.replay.timer = setInterval(() => {
+            this.replay.elapsed += VimGame.REPLAY_TICK_MS * this.replay.speed;
+            const players = this.replayPlayers();
+            players.forEach(player => player.advanceTo(this.replay.elapsed));
+            if (players.every(player => player.finished)) this.pauseReplay();
+            this.updateReplayUI();
+        }, VimGame.REPLAY_TICK_MS);
+        this.updateReplayUI();
+    }
+
+    pauseReplay() {
+        if (!this.replay || !this.replay.timer) return;
+        clearInterval(this.replay.timer);
+        this.replay.timer = null;
+        this.updateReplayUI();
+    }
+
+    restartReplay() {
+        if (!this.replay) return;
+        this.replay.elapsed = 0;
+        this.replay.best.reset();
+        this.replay.ghost.reset();
+        this.updateReplayUI();
+    }
+
+    updateReplayUI() {
+        if (!this.replay) return;
+
+        document.getElementById('replay-play-btn').textContent = this.replay.timer ? 'Pause' : 'Play';
+        const duration = Math.max(...this.replayPlayers().map(player => player.duration));
+        document.getElementById('replay-time').textContent =
+            `${SessionStats.formatDuration(Math.min(this.replay.elapsed, duration))} / ${SessionStats.formatDuration(duration)}`;
+        [['best', 'replay-keys'], ['ghost', 'ghost-keys']].forEach(([name, id]) => {
+            const player = this.replay[name];
+            document.getElementById(id).textContent =
+                `${player.position} / ${player.keys.length} keys · ${player.played().join('')}`;
+        });
+    }
+
+    updateEfficiencyMeter() {
+        const scoreEl = document.getElementById('efficiency-score');
+        const comparisonEl = document.getElementById('efficiency-comparison');
+        if (!scoreEl || !comparisonEl) return;
+
+        const keystrokes = this.keyPressHistory.length;
+        const par = this.currentExercise ? this.currentExercise.par : null;
+        const efficiency = SessionStats.efficiency(par, keystrokes);
+
+        scoreEl.textContent = efficiency === null ? '—' : `${efficiency}% efficient`;
+        comparisonEl.textContent = par
+            ? `Your way: ${keystrokes} keystrokes | Optimal: ${par} keystrokes`
+            : `Your way: ${keystrokes} keystrokes`;
+    }
+
+    updateSessionSummary() {
+        const summaryEl = document.getElementById('session-summary');
+        if (!summaryEl) return;
+
+        const summary = this.sessionStats.getSessionSummary();
+        const items = [
+            ['Exercises', summary.completed],
+            ['Keystrokes', summary.keystrokes],
+            ['Vs optimal', summary.par ? `${summary.scoredKeystrokes} / ${summary.par}` : '—'],
+            ['Efficiency', summary.efficiency === null ? '—' : `${summary.efficiency}%`],
+            ['Time', SessionStats.formatDuration(summary.durationMs)],
+            ['Resets', summary.resets]
+        ];
+
+        summaryEl.innerHTML = '';
+        items.forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            item.innerHTML = '<span class="summary-label"></span><span class="summary-value"></span>';
+            item.querySelector('.summary-label').textContent = label;
+            item.querySelector('.summary-value').textContent = value;
+            summaryEl.appendChild(item);
+        });
+    }
+
+    showChapterSummary(chapter) {
+        const summary = this.sessionStats.getChapterSummary(chapter.id);
+
+        const overlay = document.createElement('div');
+        overlay.className = 'chapter-summary';
+        overlay.innerHTML = `
+            <div class="summary-content">
+                <h2></h2>
+                <table class="summary-table">
+                    <thead>
+                        <tr><th>Exercise</th><th>Keystrokes</th><th>Time</th><th>Resets</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <p class="summary-totals"></p>
+                <button class="summary-close">Continue</button>
+            </div>
+        `;
+        overlay.querySelector('h2').textContent = `${chapter.icon || ''} ${chapter.title} complete`.trim();
+
+        const tbody = overlay.querySelector('tbody');
+        summary.exercises.forEach(record => {
+            const row = document.createElement('tr');
+            const cells = [
+                record.title,
+                record.par ? `${record.keystrokes} / ${record.par}` : record.keystrokes,
+                SessionStats.formatDuration(record.durationMs),
+                record.resets
+            ];
+            cells.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        const efficiency = summary.efficiency === null ? '' : ` · ${summary.efficiency}% efficient`;
+        overlay.querySelector('.summary-totals').textContent =
+            `${summary.keystrokes} keystrokes in ${SessionStats.formatDuration(summary.durationMs)}${efficiency}`;
+
+        const closeBtn = overlay.querySelector('.summary-close');
+        closeBtn.addEventListener('click', () => {
+            overlay.remove();
+            this.editor.focus();
+        });
+
+        document.body.appendChild(overlay);
+        closeBtn.focus();
+    }
+    
+    showCheckFeedback(isSuccess, detail = '') {
+        const feedback = document.createElement('div');
+        feedback.className = isSuccess ? 'check-feedback success' : 'check-feedback failure';
+        
+        feedback.innerHTML = `
+            <div class="feedback-content">
+                <div class="feedback-icon"></div>
+                <div class="feedback-text"></div>
+                <div class="feedback-hint"></div>
+            </div>
+        `;
+        // Details can quote exercise text, so they go in as text
+        feedback.querySelector('.feedback-icon').textContent = isSuccess ? '✓' : '✗';
+        feedback.querySelector('.feedback-text').textContent = isSuccess ? 'Correct!' : 'Not quite right yet';
+        const hint = feedback.querySelector('.feedback-hint');
+        if (isSuccess && !detail) {
+            hint.remove();
+        } else {
+            hint.textContent = detail || 'Keep trying or use the Reset button';
+        }
+        
+        document.body.appendChild(feedback);
+        
+        // Remove after delay
+        setTimeout(() => {
+            feedback.remove();
+        }, isSuccess ? 1200 : 3000);
+    }
+    
+    scoreKeystrokes() {
+        const keystrokes = this.keyPressHistory.length;
+        const par = this.currentExercise.par;
+        if (!par) {
+            return { keystrokes, par: null, rating: null };
+        }
+
+        let rating = 'at';
+        if (keystrokes < par) rating = 'under';
+        if (keystrokes > par) rating = 'over';
+        return { keystrokes, par, rating };
+    }
+
+    describeScore(score) {
+        const keys = `${score.keystrokes} keystroke${score.keystrokes === 1 ? '' : 's'}`;
+        if (!score.rating) return keys;
+
+        const ratings = {
+            under: 'under par!',
+            at: 'right on par',
+            over: `${score.keystrokes - score.par} over par`
+        };
+        return `${keys} (par ${score.par}) · ${ratings[score.rating]}`;
+    }
+
+    usedAcceptedSolution() {
+        const solutions = this.currentExercise.solutions;
+        if (solutions.length === 0) return true;
+
+        // Look for any accepted solution anywhere in the full key history
+        const keys = this.executedHistory().map(entry => entry.key);
+        return solutions.some(solution => {
+            const wanted = solution.map(key => VimKeys.toVim(key));
+            for (let start = 0; start + wanted.length <= keys.length; start++) {
+                if (wanted.every((key, i) => keys[start + i] === key)) {
+                    return true;
+                }
+            }
+            return false;
+        });
     }
     
     showOptimalCommandHint() {
@@ -454,11 +1863,15 @@ class VimGame {
         hint.className = 'optimal-hint';
         hint.innerHTML = `
             <div class="hint-content">
-                <p>Good job reaching the goal! But try using the more efficient command:</p>
-                <kbd>${this.currentExercise.optimalKeySequence.join('')}</kbd>
-                <p class="hint-small">Reset the exercise and try again!</p>
+                <p>Good job reaching the goal! Next time try the more efficient command:</p>
+                <kbd></kbd>
+                <p class="hint-small command-description"></p>
+                <p class="hint-small">You can always come back and try again</p>
             </div>
         `;
+        const keys = VimKeys.join(this.currentExercise.optimalKeySequence);
+        hint.querySelector('kbd').textContent = keys;
+        hint.querySelector('.command-description').textContent = this.getCommandDescription(keys);
         document.body.appendChild(hint);
         
         setTimeout(() => {
@@ -466,6 +1879,22 @@ class VimGame {
         }, 5000);
     }
 
+    showExplanation(explanation) {
+        // Why the solution works, from the exercise's Explanation section
+        const panel = document.createElement('div');
+        panel.className = 'exercise-explanation';
+        const heading = document.createElement('strong');
+        heading.textContent = 'Why it works';
+        const text = document.createElement('p');
+        text.textContent = explanation;
+        panel.append(heading, text);
+        document.body.appendChild(panel);
+
+        setTimeout(() => {
+            panel.remove();
+        }, 5000);
+    }
+
     showSuccessModal() {
         // Show a brief success message instead of modal
         const successMsg = document.createElement('div');
@@ -486,17 +1915,162 @@ class VimGame {
         }, 300);
     }
 
+    onEditorKeyDown(e) {
+        // Modifier keys on their own and the game's own shortcuts are never restricted
+        if (['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'].includes(e.key)) return;
+        this.scheduleIdleHint();
+        if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') return;
+
+        const key = e.ctrlKey ? `Ctrl-${e.key}` : e.key;
+        const mapping = this.vimrc.firing(this.editor, Vimrc.toVim(key));
+
+        // Text typed in insert/replace mode is not a vim command, so vim never
+        // reports it; record it here so keystroke counts stay honest. The key
+        // that completes a mapping such as jk is reported like any command.
+        const isInserting = this.vimMode === 'insert' || this.vimMode === 'replace';
+        if (isInserting && !mapping && (key.length === 1 || ['Enter', 'Backspace', 'Delete', 'Tab'].includes(key))) {
+            this.keyPressHistory.push({
+                key: VimKeys.toVim(key),
+                timestamp: Date.now()
+            });
+            this.commandAssembler.pushText(VimKeys.toVim(key));
+            this.updateEfficiencyMeter();
+            return;
+        }
+
+        const violation = mapping ? this.findMappingViolation(mapping) : this.findKeyViolation(key);
+        if (violation) {
+            if (this.settings.strictMode) {
+                e.preventDefault();
+                // Vim never sees the key, so a mapping it would finish is off
+                this.vimrc.release(this.editor);
+            }
+            this.showKeyWarning(violation, this.settings.strictMode);
+            if (this.settings.strictMode) return;
+        }
+
+        if (isInserting) {
+            this.recentKeys = [];
+        } else {
+            this.recentKeys.push(key);
+        }
+    }
+
+    findKeyViolation(key) {
+        // Escape is always available so nobody gets stuck in insert mode, and
+        // : so the game commands are; other ex commands are checked on submit
+        if (key === 'Escape' || key === ':') return null;
+
+        // The start of a mapping waits for the rest; what it maps to is
+        // checked once it's complete
+        if (this.vimrc.pending(this.editor, Vimrc.toVim(key))) return null;
+
+        // Keys held back for a mapping run after all when this one isn't it
+        const blocked = [...this.vimrc.held(this.editor).map(Vimrc.fromVim), key]
+            .find(typed => !this.isKeyAllowed(typed));
+        if (blocked !== undefined) {
+            return `The ${this.formatKey(blocked)} key is not part of this exercise`;
+        }
+
+        const candidate = [...this.recentKeys, key];
+        const forbidden = this.forbiddenSequences.find(sequence =>
+            sequence.length > 0 &&
+            sequence.length <= candidate.length &&
+            sequence.every((seqKey, i) => candidate[candidate.length - sequence.length + i] === seqKey)
+        );
+        if (forbidden) {
+            const optimal = this.currentExercise.optimalKeySequence;
+            const suggestion = optimal ? `, try ${VimKeys.join(optimal)} instead` : '';
+            return `${forbidden.map(k => this.formatKey(k)).join(' ')} is not allowed here${suggestion}`;
+        }
+
+        return null;
+    }
+
+    isKeyAllowed(key) {
+        return this.allowedKeys.length === 0 || this.allowedKeys.includes(key);
+    }
+
+    findMappingViolation(mapping) {
+        // A mapping is allowed when the keys it stands for are; in insert
+        // mode everything before <Esc> is only text
+        if (mapping.ex !== null) {
+            return this.isExCommandRestricted(mapping.ex)
+                ? `${mapping.lhs} runs :${mapping.ex}, which is not part of this exercise`
+                : null;
+        }
+        const keys = Vimrc.expansion(mapping);
+        const commands = mapping.mode !== 'insert' ? keys
+            : keys.includes('<Esc>') ? keys.slice(keys.indexOf('<Esc>')) : [];
+        const blocked = commands.map(key => Vimrc.fromVim(key))
+            .find(key => key !== 'Escape' && key !== ':' && !this.isKeyAllowed(key));
+        return blocked === undefined
+            ? null
+            : `${mapping.lhs} maps to ${mapping.rhs}, and ${this.formatKey(blocked)} is not part of this exercise`;
+    }
+
+    formatKey(key) {
+        return key === ' ' ? 'Space' : key;
+    }
+
+    showKeyWarning(message, blocked) {
+        // Shown inside the editor so it sits right where the learner is looking
+        const container = document.querySelector('.editor-container');
+        const existing = container.querySelector('.key-warning');
+        if (existing) existing.remove();
+
+        const warning = document.createElement('div');
+        warning.className = blocked ? 'key-warning' : 'key-warning flagged';
+        warning.textContent = blocked ? `${message} (blocked)` : message;
+        container.appendChild(warning);
+
+        setTimeout(() => {
+            warning.remove();
+        }, 2500);
+    }
+
     onKeyPress(key) {
-        // Simply track all keys without restrictions
+        // Restrictions are applied in onEditorKeyDown(); this only records keys
         this.keyPressHistory.push({
             key: key,
             timestamp: Date.now()
         });
+        this.commandAssembler.push(key);
+        this.updateMotionDisplay(this.commandAssembler.pending());
+        this.updateEfficiencyMeter();
+        // Vim handles the key after reporting it; read its state once it has
+        queueMicrotask(() => this.updateModeDisplay());
 
         // Visual feedback
         this.showKeyPress(key);
     }
 
+    onMapping(mapping) {
+        // The keys that typed a mapping still count as keystrokes, but
+        // commands, solutions and replays read the keys it stands for
+        const keys = Vimrc.expansion(mapping);
+        const typed = VimKeys.split(mapping.lhs).length;
+        const entries = this.keyPressHistory.slice(-typed);
+        entries.forEach(entry => { entry.mapped = true; });
+        if (entries.length > 0) entries[entries.length - 1].expansion = keys;
+        this.commandAssembler.expand(typed, keys);
+        this.updateMotionDisplay(this.commandAssembler.pending());
+
+        if (mapping.ex !== null) {
+            // A mapped game command gives back its keys like a typed one
+            this.promptStart = this.keyPressHistory.length - entries.length;
+            // Ex commands don't signal vim-command-done
+            this.onVimCommandDone();
+        }
+    }
+
+    executedHistory() {
+        // The key history as vim ran it, with each mapping's keys replaced
+        // by what it maps to, so it replays without the learner's vimrc
+        return this.keyPressHistory.flatMap(entry => !entry.mapped ? [entry]
+            : (entry.expansion || []).map(key => ({ key: key, timestamp: entry.timestamp })));
+    }
+
     showKeyPress(key) {
         // Create a temporary element to show the key press
         const keyDisplay = document.createElement('div');
@@ -511,28 +2085,101 @@ class VimGame {
     }
 
 
+    leaveVimMode() {
+        const vim = this.editor.state.vim;
+        if (!vim) return;
+        if (vim.visualMode) CodeMirror.Vim.exitVisualMode(this.editor);
+        if (vim.insertMode) CodeMirror.Vim.exitInsertMode(this.editor);
+    }
+
+    updateModeDisplay() {
+        const modeEl = document.getElementById('vim-mode');
+        if (!modeEl) return;
+
+        // Same labels vim shows in its status line, plus operator-pending
+        // while an operator waits for its motion
+        const vim = this.editor.state.vim;
+        const mode = this.vimMode === 'normal' && vim && vim.inputState.operator ? 'pending' : this.vimMode;
+        const visualLabels = { linewise: 'VISUAL LINE', blockwise: 'VISUAL BLOCK' };
+        const labels = { visual: visualLabels[this.vimSubMode] || 'VISUAL', pending: 'OP-PENDING' };
+        modeEl.textContent = labels[mode] || mode.toUpperCase();
+        modeEl.className = `vim-mode ${mode}`;
+
+        // The register the next command reads or writes, once one is chosen
+        const registerEl = document.getElementById('vim-register');
+        const register = vim && vim.inputState.registerName;
+        registerEl.textContent = register ? `"${register}` : '';
+        registerEl.title = register ? `The next command uses register ${register}` : '';
+        registerEl.classList.toggle('hidden', !register);
+
+        // A macro being recorded, shown like vim does
+        const macro = CodeMirror.Vim.getVimGlobalState_().macroModeState;
+        const recordingEl = document.getElementById('vim-recording');
+        recordingEl.textContent = macro.isRecording ? `recording @${macro.latestRegister}` : '';
+        recordingEl.classList.toggle('hidden', !macro.isRecording);
+    }
+
     onVimModeChange(e) {
-        // Could update UI to show current vim mode
-        console.log('Vim mode:', e.mode);
+        this.vimMode = e.mode;
+        this.vimSubMode = e.subMode || null;
+        this.updateModeDisplay();
+        // Keys on either side of insert mode are not consecutive commands
+        this.recentKeys = [];
+    }
+
+    drawVariant(exercise, seed = null) {
+        // Generated exercises get a fresh variant on every attempt
+        if (!exercise || !exercise.template) return exercise;
+        return this.exerciseLoader.generateVariant(exercise, seed || ExerciseGenerator.newSeed());
     }
 
     resetExercise() {
+        // While authoring, Reset starts the recording over
+        if (this.authoring) {
+            if (this.authoring.stage === 'record') this.restartRecording();
+            return;
+        }
+
         if (this.currentExercise) {
+            if (this.currentExercise.template) {
+                // Hints already seen stay revealed for the new variant
+                this.currentExercise = this.drawVariant(this.currentExercise);
+                this.hints = new HintLadder(this.currentExercise, this.hints.revealed);
+                this.updateExerciseUI();
+                if (!this.customExercise) {
+                    this.saveProgress();
+                    this.updateLink();
+                }
+            }
+            this.leaveVimMode();
             this.editor.setValue(this.currentExercise.startText);
-            this.editor.setCursor(0, 0);
+            this.editor.setCursor(this.currentExercise.startCursor);
+            this.showGoalTargets();
             this.editor.clearHistory();
             this.keyPressHistory = [];
+            this.recentKeys = [];
             this.exerciseStartTime = Date.now();
+            this.exerciseCompleted = false;
+            this.requirementWarned = false;
+            this.resetCount++;
+            this.updateEfficiencyMeter();
             
             // Clear motion display
-            this.currentMotionBuffer = [];
+            this.commandAssembler.reset();
             this.updateMotionDisplay('');
         }
     }
 
     nextExercise() {
+        // From a shared challenge, both directions lead back to the chapters
+        if (this.customExercise) {
+            this.loadExercise();
+            return;
+        }
         if (this.exerciseLoader.nextExercise()) {
             this.loadExercise();
+        } else if (this.exerciseLoader.lockedChapterIndex !== null) {
+            this.showChapterLocked(this.exerciseLoader.lockedChapterIndex);
         } else {
             // All exercises complete!
             this.showCompletionMessage();
@@ -540,29 +2187,172 @@ class VimGame {
     }
 
     previousExercise() {
+        if (this.customExercise) {
+            this.loadExercise();
+            return;
+        }
         if (this.exerciseLoader.previousExercise()) {
             this.loadExercise();
+        } else if (this.exerciseLoader.lockedChapterIndex !== null) {
+            this.showChapterLocked(this.exerciseLoader.lockedChapterIndex);
         }
     }
 
     nextChapter() {
-        if (this.exerciseLoader.currentChapterIndex < this.exerciseLoader.chapters.length - 1) {
-            this.exerciseLoader.currentChapterIndex++;
-            this.exerciseLoader.currentExerciseIndex = 0;
-            this.exerciseLoader.exercises = this.exerciseLoader.chapters[this.exerciseLoader.currentChapterIndex].exercises;
+        if (this.exerciseLoader.goTo(this.exerciseLoader.currentChapterIndex + 1)) {
             this.loadExercise();
         }
     }
 
     previousChapter() {
-        if (this.exerciseLoader.currentChapterIndex > 0) {
-            this.exerciseLoader.currentChapterIndex--;
-            this.exerciseLoader.currentExerciseIndex = 0;
-            this.exerciseLoader.exercises = this.exerciseLoader.chapters[this.exerciseLoader.currentChapterIndex].exercises;
+        if (this.exerciseLoader.goTo(this.exerciseLoader.currentChapterIndex - 1)) {
             this.loadExercise();
         }
     }
 
+    goToExercise(chapterIndex, exerciseIndex) {
+        if (!this.exerciseLoader.isChapterUnlocked(chapterIndex)) return false;
+        if (!this.exerciseLoader.goTo(chapterIndex, exerciseIndex)) return false;
+        // Picking an exercise by hand leaves review mode and ends a speedrun
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+        this.stopSpeedrun();
+        this.loadExercise();
+        this.updateReviewUI();
+        return true;
+    }
+
+    openLink(hash) {
+        // Returns true when the link chose the exercise on screen
+        let link;
+        try {
+            link = ExerciseLink.parse(hash);
+        } catch (e) {
+            this.showLinkError(hash, e);
+            return false;
+        }
+        if (!link) return false;
+
+        let exercise = null;
+        let position = null;
+        if (link.markdown) {
+            try {
+                exercise = this.exerciseLoader.parseExercise(link.markdown, ExerciseLink.CUSTOM_PATH);
+            } catch (e) {
+                this.showLinkError(hash, e);
+                return false;
+            }
+            // Anyone can write a link, and a pattern like (a|a)*b tested on
+            // every edit would freeze the tab of whoever opens it
+            if (exercise.compare.includes('regex')) {
+                this.showLinkError(hash, new Error('Shared exercises can\'t use compare: regex'));
+                return false;
+            }
+        } else {
+            position = this.exerciseLoader.findExercise(link.path);
+            if (!position) {
+                this.showLinkError(hash, new Error(`There is no exercise ${link.path}`));
+                return false;
+            }
+        }
+
+        // Following a link leaves review mode and ends a speedrun, like
+        // picking an exercise does; a link opens locked chapters too
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+        this.stopSpeedrun();
+        if (exercise) {
+            this.loadExercise(null, exercise);
+        } else {
+            this.exerciseLoader.goTo(position.chapterIndex, position.exerciseIndex);
+            this.loadExercise(link.variant);
+        }
+        return true;
+    }
+
+    showLinkError(hash, error) {
+        // Shown with the load errors, since the linked exercise couldn't load
+        this.exerciseLoader.recordError(hash.length > 60 ? `${hash.slice(0, 60)}…` : hash, error);
+        this.showLoadErrors();
+    }
+
+    updateLink() {
+        // replaceState doesn't fire hashchange, so this never reloads
+        const hash = ExerciseLink.forExercise(this.currentExercise);
+        if (hash && location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    shareLink(markdown) {
+        return `${location.href.split('#')[0]}${ExerciseLink.forCustom(markdown)}`;
+    }
+
+    showExercisePicker() {
+        this.renderExercisePicker();
+        const picker = document.getElementById('exercise-picker');
+        picker.classList.remove('hidden');
+        const current = picker.querySelector('.picker-exercise.current') || picker.querySelector('button');
+        if (current) current.focus();
+    }
+
+    hideExercisePicker() {
+        document.getElementById('exercise-picker').classList.add('hidden');
+        this.editor.focus();
+    }
+
+    renderExercisePicker() {
+        const loader = this.exerciseLoader;
+        const chaptersEl = document.getElementById('picker-chapters');
+        chaptersEl.innerHTML = '';
+
+        loader.chapters.forEach((chapter, chapterIndex) => {
+            const unlocked = loader.isChapterUnlocked(chapterIndex);
+
+            const chapterEl = document.createElement('section');
+            chapterEl.className = unlocked ? 'picker-chapter' : 'picker-chapter locked';
+
+            const header = document.createElement('div');
+            header.className = 'picker-chapter-header';
+            header.innerHTML = '<span class="picker-chapter-title"></span><span class="picker-chapter-progress"></span>';
+            header.querySelector('.picker-chapter-title').textContent =
+                `${chapter.icon || ''} ${chapter.title}`.trim();
+            header.querySelector('.picker-chapter-progress').textContent = unlocked
+                ? `${chapter.completed} / ${chapter.total}`
+                : '🔒 Locked';
+            chapterEl.appendChild(header);
+
+            const list = document.createElement('div');
+            list.className = 'picker-exercises';
+            chapter.exercises.forEach((exercise, exerciseIndex) => {
+                const item = document.createElement('button');
+                item.className = 'picker-exercise';
+                item.disabled = !unlocked;
+                const status = loader.completionStatus(exercise.path);
+                if (status) {
+                    item.classList.add('completed');
+                }
+                if (status === 'hinted' || status === 'shown') {
+                    // Solved, but not yet without help
+                    item.classList.add(status);
+                    item.title = status === 'shown' ? 'Solved after seeing the solution' : 'Solved with hints';
+                }
+                if (chapterIndex === loader.currentChapterIndex && exerciseIndex === loader.currentExerciseIndex) {
+                    item.classList.add('current');
+                }
+                item.textContent = `${exerciseIndex + 1}. ${exercise.title}`;
+                item.addEventListener('click', () => {
+                    this.hideExercisePicker();
+                    this.goToExercise(chapterIndex, exerciseIndex);
+                });
+                list.appendChild(item);
+            });
+            chapterEl.appendChild(list);
+
+            chaptersEl.appendChild(chapterEl);
+        });
+    }
+
     showCompletionMessage() {
         const modal = document.getElementById('success-modal');
         modal.querySelector('h2').textContent = 'Congratulations! 🏆';
@@ -571,42 +2361,292 @@ class VimGame {
         this.showSuccessModal();
     }
 
+    switchProfile(id) {
+        // Leave anything tied to the current learner before swapping state
+        this.stopSpeedrun();
+        this.reviewMode = false;
+        this.reviewReturnPath = null;
+        this.profiles.switchTo(id);
+
+        const loader = this.exerciseLoader;
+        loader.completedExercises = {};
+        loader.updateChapterCompletion();
+        loader.goTo(0, 0);
+        this.settings = { ...VimGame.DEFAULT_SETTINGS };
+        this.bestAttempts = {};
+        this.leaderboard = new SpeedrunLeaderboard();
+        this.reviewScheduler = new ReviewScheduler();
+        this.sessionStats = new SessionStats();
+
+        this.loadSettings();
+        this.applyVimrc();
+        this.loadBestAttempts();
+        this.loadLeaderboard();
+        const variantSeed = this.loadProgress();
+        this.loadExercise(variantSeed);
+        this.updateUI();
+        this.renderProfileManager();
+    }
+
+    showVimrcPanel() {
+        const input = document.getElementById('vimrc-input');
+        input.value = this.settings.vimrc;
+        this.renderVimrcErrors('');
+        document.getElementById('vimrc-panel').classList.remove('hidden');
+        input.focus();
+    }
+
+    hideVimrcPanel() {
+        document.getElementById('vimrc-panel').classList.add('hidden');
+        this.editor.focus();
+    }
+
+    renderVimrcErrors(message = null) {
+        // Lines that couldn't be used are listed; the rest is already applied
+        const errors = this.vimrc.errors;
+        const listEl = document.getElementById('vimrc-errors');
+        listEl.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = `line ${error.line}: ${error.message}`;
+            listEl.appendChild(item);
+        });
+        listEl.classList.toggle('hidden', errors.length === 0);
+
+        const mappings = new Set(this.vimrc.mappings.map(mapping => mapping.line)).size;
+        const applied = `Applied ${mappings} mapping${mappings === 1 ? '' : 's'}`;
+        document.getElementById('vimrc-message').textContent = message !== null ? message
+            : errors.length > 0 ? `${applied}; the lines below were skipped` : applied;
+    }
+
+    updateProfileUI() {
+        document.getElementById('profile-name').textContent = this.profiles.active.name;
+    }
+
+    showProfileManager() {
+        this.renderProfileManager();
+        this.showProfileMessage('');
+        const manager = document.getElementById('profile-manager');
+        manager.classList.remove('hidden');
+        document.getElementById('profile-name-input').focus();
+    }
+
+    hideProfileManager() {
+        document.getElementById('profile-manager').classList.add('hidden');
+        this.editor.focus();
+    }
+
+    renderProfileManager() {
+        const listEl = document.getElementById('profile-list');
+        listEl.innerHTML = '';
+
+        this.profiles.profiles.forEach(profile => {
+            const isActive = profile.id === this.profiles.active.id;
+            const item = document.createElement('div');
+            item.className = isActive ? 'profile-item current' : 'profile-item';
+            item.innerHTML = `
+                <span class="profile-item-name"></span>
+                <button class="profile-action" data-action="switch">Switch</button>
+                <button class="profile-action" data-action="rename">Rename</button>
+                <button class="profile-action" data-action="delete">Delete</button>
+            `;
+            item.querySelector('.profile-item-name').textContent = isActive ? `${profile.name} (current)` : profile.name;
+            item.querySelector('[data-action="switch"]').disabled = isActive;
+            item.querySelector('[data-action="delete"]').disabled = this.profiles.profiles.length === 1;
+
+            item.querySelector('[data-action="switch"]').addEventListener('click', () => {
+                this.runProfileAction(() => this.switchProfile(profile.id));
+            });
+            item.querySelector('[data-action="rename"]').addEventListener('click', () => {
+                const name = window.prompt('New name for this profile', profile.name);
+                if (name === null) return;
+                this.runProfileAction(() => {
+                    this.profiles.rename(profile.id, name);
+                    this.renderProfileManager();
+                    this.updateProfileUI();
+                });
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (!window.confirm(`Delete "${profile.name}" and all of its progress?`)) return;
+                this.runProfileAction(() => {
+                    this.profiles.remove(profile.id);
+                    if (isActive) {
+                        this.switchProfile(this.profiles.active.id);
+                    } else {
+                        this.renderProfileManager();
+                    }
+                });
+            });
+            listEl.appendChild(item);
+        });
+    }
+
+    runProfileAction(action) {
+        // Profile store errors are meant for the learner, e.g. a taken name
+        try {
+            action();
+            this.showProfileMessage('');
+        } catch (e) {
+            this.showProfileMessage(e.message, true);
+        }
+    }
+
+    showProfileMessage(message, isError = false) {
+        const messageEl = document.getElementById('profile-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+        messageEl.classList.toggle('hidden', !message);
+    }
+
+    downloadJSON(data, name) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `${name}-${ReviewScheduler.today()}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+    }
+
+    async importProfiles(file) {
+        try {
+            const imported = this.profiles.importData(JSON.parse(await file.text()));
+            this.renderProfileManager();
+            this.showProfileMessage(`Imported ${imported.map(profile => profile.name).join(', ')}`);
+        } catch (e) {
+            // JSON.parse errors are not worth showing as they are
+            this.showProfileMessage(e instanceof SyntaxError ? 'This file is not valid JSON' : e.message, true);
+        }
+    }
+
+    loadSettings() {
+        const saved = this.profiles.getItem('settings');
+        if (saved) {
+            try {
+                this.settings = { ...this.settings, ...JSON.parse(saved) };
+            } catch (e) {
+                console.error('Could not load settings:', e);
+            }
+        }
+    }
+
+    saveSettings() {
+        this.profiles.setItem('settings', JSON.stringify(this.settings));
+    }
+
+    applyVimrc() {
+        // Mappings go into CodeMirror's vim keymap, options onto the editor
+        this.vimrc = new Vimrc(this.settings.vimrc);
+        this.vimrc.apply();
+        this.editor.setOption('lineNumbers', this.vimrc.option('number'));
+        this.editor.setOption('lineWrapping', this.vimrc.option('wrap'));
+        CodeMirror.Vim.setOption('insertModeEscKeysTimeout', this.vimrc.option('timeoutlen'));
+        return this.vimrc.errors;
+    }
+
     saveProgress() {
+        const loader = this.exerciseLoader;
+        const exercise = loader.getCurrentExercise();
         const progress = {
-            currentChapter: this.exerciseLoader.currentChapterIndex,
-            currentExercise: this.exerciseLoader.currentExerciseIndex,
-            chaptersProgress: this.exerciseLoader.chapters.map(ch => ({
-                id: ch.id,
-                completed: ch.completed
-            }))
+            currentChapter: loader.currentChapterIndex,
+            currentExercise: loader.currentExerciseIndex,
+            currentExercisePath: exercise ? exercise.path : null,
+            // Reloading a generated exercise brings back the same variant
+            variantSeed: this.currentExercise ? this.currentExercise.variantSeed || null : null,
+            completedExercises: loader.completedExercises,
+            review: this.reviewScheduler.toJSON()
         };
-        localStorage.setItem('vim-game-progress', JSON.stringify(progress));
+        this.profiles.setItem('progress', JSON.stringify(progress));
     }
 
     loadProgress() {
-        const saved = localStorage.getItem('vim-game-progress');
+        const saved = this.profiles.getItem('progress');
         if (saved) {
             try {
                 const progress = JSON.parse(saved);
-                this.exerciseLoader.currentChapterIndex = progress.currentChapter || 0;
-                this.exerciseLoader.currentExerciseIndex = progress.currentExercise || 0;
-                
-                // Restore chapter progress
-                if (progress.chaptersProgress) {
+                const loader = this.exerciseLoader;
+
+                if (progress.completedExercises) {
+                    loader.completedExercises = progress.completedExercises;
+                } else if (progress.chaptersProgress) {
+                    // Older saves only kept a counter per chapter; progress was
+                    // linear, so treat the first exercises as the completed ones
                     progress.chaptersProgress.forEach(chProg => {
-                        const chapter = this.exerciseLoader.chapters.find(ch => ch.id === chProg.id);
+                        const chapter = loader.chapters.find(ch => ch.id === chProg.id);
                         if (chapter) {
-                            chapter.completed = chProg.completed || 0;
+                            chapter.exercises.slice(0, chProg.completed || 0).forEach(exercise => {
+                                loader.completedExercises[exercise.path] = { migrated: true, timesCompleted: 1 };
+                            });
                         }
                     });
                 }
+                loader.updateChapterCompletion();
+
+                // Exercises completed before reviews existed start out due
+                this.reviewScheduler = new ReviewScheduler(progress.review);
+                Object.keys(loader.completedExercises)
+                    .filter(path => !this.reviewScheduler.cards[path])
+                    .forEach(path => this.reviewScheduler.addCard(path));
+
+                // Prefer the saved path: indices shift when exercises are added
+                const position = progress.currentExercisePath && loader.findExercise(progress.currentExercisePath);
+                if (position) {
+                    loader.goTo(position.chapterIndex, position.exerciseIndex);
+                } else {
+                    loader.goTo(progress.currentChapter || 0, progress.currentExercise || 0);
+                }
+                return position ? progress.variantSeed || null : null;
             } catch (e) {
                 console.error('Could not load progress:', e);
             }
         }
+        return null;
     }
 }
 
+VimGame.DEFAULT_SETTINGS = {
+    strictMode: true,
+    // The learner's vimrc, as typed into the vimrc panel
+    vimrc: ''
+};
+
+// Replay playback advances in steps this long
+VimGame.REPLAY_TICK_MS = 50;
+// How often the speedrun clock is redrawn
+VimGame.SPEEDRUN_TICK_MS = 100;
+
+// Tooltips for the coloured parts of the pending command
+VimGame.MOTION_PART_LABELS = {
+    register: 'Register',
+    count: 'Count',
+    operator: 'Operator',
+    motion: 'Motion',
+    textObject: 'Text object',
+    action: 'Command',
+    visual: 'Visual mode',
+    prompt: 'Command line',
+    text: 'Typed text',
+    keys: 'Keys'
+};
+
+// Game commands for vim's : line. As in vim, any abbreviation from `prefix`
+// up to the full name works (:n, :nex, :next).
+VimGame.EX_COMMANDS = [
+    { name: 'next', prefix: 'n' },
+    { name: 'previous', prefix: 'prev' },
+    { name: 'reset', prefix: 'res' },
+    { name: 'check', prefix: 'che' },
+    { name: 'hint', prefix: 'hint' },
+    { name: 'chapter', prefix: 'chap' }
+];
+// How long messages from game commands stay on vim's command line
+VimGame.VIM_MESSAGE_MS = 4000;
+// Idle time before the next hint is revealed unasked
+VimGame.HINT_IDLE_MS = 45000;
+// Failed checks per hint revealed unasked
+VimGame.CHECKS_PER_HINT = 2;
+
 // Initialize the game when the page loads
 document.addEventListener('DOMContentLoaded', async () => {
     const game = new VimGame();
@@ -0,0 +1,54 @@
+// Hints for one exercise attempt, revealed a tier at a time: the author's
+// nudges (the Hint section, then each entry of `hints`), then the keys that
+// help (hint_keys), then the full solution. The deepest tier reached is the
+// attempt's hint level, which completion records and review grades use.
+class HintLadder {
+    constructor(exercise, revealed = 0) {
+        this.tiers = HintLadder.tiersFor(exercise);
+        this.revealed = Math.min(revealed, this.tiers.length);
+    }
+
+    static tiersFor(exercise) {
+        const tiers = [].concat(exercise.hint || [], exercise.hints || [])
+            .map(text => ({ level: 'nudge', text: text }));
+        if (exercise.hintKeys.length > 0) {
+            tiers.push({ level: 'keys', keys: exercise.hintKeys });
+        }
+        if (exercise.optimalKeySequence) {
+            tiers.push({ level: 'solution', keys: exercise.optimalKeySequence });
+        }
+        return tiers;
+    }
+
+    get current() {
+        return this.revealed > 0 ? this.tiers[this.revealed - 1] : null;
+    }
+
+    get hasMore() {
+        return this.revealed < this.tiers.length;
+    }
+
+    get level() {
+        return this.current ? this.current.level : 'none';
+    }
+
+    reached(level) {
+        return this.tiers.slice(0, this.revealed).some(tier => tier.level === level);
+    }
+
+    reveal({ automatic = false } = {}) {
+        // Only the learner can ask for the solution itself
+        const next = this.tiers[this.revealed];
+        if (!next || (automatic && next.level === 'solution')) return null;
+        this.revealed++;
+        return next;
+    }
+
+    static lesser(a, b) {
+        // The less assisted of two hint levels
+        return HintLadder.LEVELS.indexOf(a) <= HintLadder.LEVELS.indexOf(b) ? a : b;
+    }
+}
+
+// Hint levels from unassisted to shown the answer
+HintLadder.LEVELS = ['none', 'nudge', 'keys', 'solution'];
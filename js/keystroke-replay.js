@@ -0,0 +1,139 @@
+// Plays recorded keystrokes back into a CodeMirror vim editor. Each key is in
+// vim notation with `at`, the milliseconds since the attempt's first key, so a
+// replay can run at the learner's own pace or scaled up or down.
+class KeystrokeReplay {
+    constructor(cm, exercise, keys) {
+        this.cm = cm;
+        this.exercise = exercise;
+        this.keys = keys;
+        KeystrokeReplay.keepPromptsOpen(cm);
+        this.reset();
+    }
+
+    static keepPromptsOpen(cm) {
+        // Two replays can type into prompts side by side; the dialog addon would
+        // close one as soon as the other takes focus
+        if (!cm.openDialog || cm.state.replayPrompts) return;
+        const openDialog = cm.openDialog;
+        cm.openDialog = (template, onSubmit, options = {}) =>
+            openDialog.call(cm, template, onSubmit, { ...options, closeOnBlur: false });
+        cm.state.replayPrompts = true;
+    }
+
+    static fromHistory(history) {
+        // The pause before the first key is reading time, not part of the attempt
+        const start = history.length > 0 ? history[0].timestamp : 0;
+        return history.map(entry => ({ key: entry.key, at: entry.timestamp - start }));
+    }
+
+    static evenlySpaced(sequence, interval = KeystrokeReplay.GHOST_INTERVAL_MS) {
+        // Solutions have no timing of their own, so give every key the same beat
+        return sequence.map((key, i) => ({ key: VimKeys.toVim(key), at: i * interval }));
+    }
+
+    static isBetter(attempt, best) {
+        // Fewer keystrokes wins; time only breaks ties
+        if (!best) return true;
+        if (attempt.keystrokes !== best.keystrokes) return attempt.keystrokes < best.keystrokes;
+        return attempt.durationMs < best.durationMs;
+    }
+
+    get finished() {
+        return this.position >= this.keys.length;
+    }
+
+    get duration() {
+        return this.keys.length > 0 ? this.keys[this.keys.length - 1].at : 0;
+    }
+
+    played() {
+        return this.keys.slice(0, this.position).map(entry => entry.key);
+    }
+
+    reset() {
+        // A replay stopped halfway may have left the prompt or a mode open
+        const input = this.promptInput();
+        if (input) KeystrokeReplay.typeIntoPrompt(input, '<Esc>');
+        const vim = this.cm.state.vim;
+        if (vim && vim.visualMode) CodeMirror.Vim.exitVisualMode(this.cm);
+        if (vim && vim.insertMode) CodeMirror.Vim.exitInsertMode(this.cm);
+
+        this.cm.setValue(this.exercise.startText);
+        this.cm.setCursor(this.exercise.startCursor);
+        this.cm.clearHistory();
+        this.position = 0;
+    }
+
+    advanceTo(elapsedMs) {
+        while (!this.finished && this.keys[this.position].at <= elapsedMs) {
+            this.press(this.keys[this.position].key);
+            this.position++;
+        }
+    }
+
+    press(key) {
+        // Vim refuses to enter insert mode in a read-only editor, so the
+        // editor only stops being read-only while the replay types
+        const readOnly = this.cm.getOption('readOnly');
+        this.cm.setOption('readOnly', false);
+        try {
+            this.type(key);
+        } finally {
+            this.cm.setOption('readOnly', readOnly);
+        }
+    }
+
+    type(key) {
+        const input = this.promptInput();
+        if (input) {
+            KeystrokeReplay.typeIntoPrompt(input, key);
+            return;
+        }
+
+        // Recorded keys are what vim ran, so the learner's mappings stay out
+        if (Vimrc.withoutMappings(() => CodeMirror.Vim.handleKey(this.cm, key, 'user'))) return;
+
+        // Text typed in insert mode never goes through vim, so type it here
+        const vim = this.cm.state.vim;
+        if (!vim || !vim.insertMode) return;
+        if (key === '<BS>') {
+            this.cm.execCommand('delCharBefore');
+        } else if (key === '<Del>') {
+            this.cm.execCommand('delCharAfter');
+        } else if (KeystrokeReplay.INSERT_TEXT[key] !== undefined) {
+            this.cm.replaceSelection(KeystrokeReplay.INSERT_TEXT[key]);
+        } else if (key.length === 1) {
+            this.cm.replaceSelection(key);
+        }
+    }
+
+    promptInput() {
+        return this.cm.getWrapperElement().querySelector('.CodeMirror-dialog input');
+    }
+
+    static typeIntoPrompt(input, key) {
+        // The prompt is a plain input; Enter and Escape go through its key handlers
+        const keyCodes = { '<CR>': 13, '<Esc>': 27 };
+        if (keyCodes[key]) {
+            const name = key === '<CR>' ? 'Enter' : 'Escape';
+            input.dispatchEvent(new KeyboardEvent('keydown', { key: name, keyCode: keyCodes[key], bubbles: true }));
+        } else if (key === '<BS>') {
+            input.value = input.value.slice(0, -1);
+        } else if (key.length === 1) {
+            input.value += key;
+        }
+    }
+}
+
+// Pace of the ghost, which plays the exercise's optimal solution
+KeystrokeReplay.GHOST_INTERVAL_MS = 300;
+KeystrokeReplay.INSERT_TEXT = {
+    '<CR>': '\n',
+    '<Tab>': '\t'
+};
+
+// Allow Node tooling (tools/validate-exercises.js) to type into vim's prompt
+// the way replays do
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KeystrokeReplay;
+}
@@ -0,0 +1,198 @@
+// Named learner profiles sharing one browser. Everything the game saves
+// (progress, settings, replays, speedruns) is stored under a key namespaced by
+// the active profile, and a profile can be exported to JSON and imported into
+// another browser.
+class ProfileStore {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+        this.index = this.readIndex();
+    }
+
+    readIndex() {
+        try {
+            const index = JSON.parse(this.storage.getItem(ProfileStore.INDEX_KEY));
+            if (index && Array.isArray(index.profiles) && index.profiles.length > 0) {
+                return index;
+            }
+        } catch (e) {
+            console.error('Could not load profiles:', e);
+        }
+        return this.migrate();
+    }
+
+    migrate() {
+        // Before profiles each kind of data had one fixed key, such as
+        // vim-game-progress; whatever is there becomes the first profile
+        const profile = ProfileStore.newProfile(ProfileStore.DEFAULT_NAME);
+        this.index = { active: profile.id, profiles: [profile] };
+
+        ProfileStore.DATA.forEach(name => {
+            const legacyKey = `vim-game-${name}`;
+            const value = this.storage.getItem(legacyKey);
+            if (value !== null) {
+                this.storage.setItem(this.key(name, profile.id), value);
+                this.storage.removeItem(legacyKey);
+            }
+        });
+        this.writeIndex();
+        return this.index;
+    }
+
+    writeIndex() {
+        this.storage.setItem(ProfileStore.INDEX_KEY, JSON.stringify(this.index));
+    }
+
+    key(name, profileId = this.index.active) {
+        return `vim-game:${profileId}:${name}`;
+    }
+
+    // Same shape as localStorage, scoped to the active profile
+    getItem(name) {
+        return this.storage.getItem(this.key(name));
+    }
+
+    setItem(name, value) {
+        this.storage.setItem(this.key(name), value);
+    }
+
+    get profiles() {
+        return this.index.profiles;
+    }
+
+    get active() {
+        return this.find(this.index.active) || this.profiles[0];
+    }
+
+    find(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    create(name) {
+        const profile = ProfileStore.newProfile(this.checkName(name));
+        this.profiles.push(profile);
+        this.writeIndex();
+        return profile;
+    }
+
+    rename(id, name) {
+        const profile = this.find(id);
+        if (!profile) throw new Error('No such profile');
+        profile.name = this.checkName(name, id);
+        this.writeIndex();
+        return profile;
+    }
+
+    remove(id) {
+        if (this.profiles.length === 1) {
+            throw new Error('The last profile cannot be deleted');
+        }
+        ProfileStore.DATA.forEach(name => this.storage.removeItem(this.key(name, id)));
+        this.index.profiles = this.profiles.filter(profile => profile.id !== id);
+        if (this.index.active === id) {
+            this.index.active = this.profiles[0].id;
+        }
+        this.writeIndex();
+    }
+
+    switchTo(id) {
+        if (!this.find(id)) throw new Error('No such profile');
+        this.index.active = id;
+        this.writeIndex();
+    }
+
+    checkName(name, ignoreId = null) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) throw new Error('A profile needs a name');
+        if (this.isNameTaken(trimmed, ignoreId)) {
+            throw new Error(`There is already a profile called "${trimmed}"`);
+        }
+        return trimmed;
+    }
+
+    isNameTaken(name, ignoreId = null) {
+        return this.profiles.some(profile =>
+            profile.id !== ignoreId && profile.name.toLowerCase() === name.toLowerCase()
+        );
+    }
+
+    exportProfile(id = this.index.active) {
+        const profile = this.find(id);
+        const data = {};
+        ProfileStore.DATA.forEach(name => {
+            const value = this.storage.getItem(this.key(name, id));
+            if (value === null) return;
+            try {
+                data[name] = JSON.parse(value);
+            } catch (e) {
+                console.error(`Could not export ${name}:`, e);
+            }
+        });
+
+        return {
+            format: ProfileStore.FORMAT,
+            version: ProfileStore.VERSION,
+            name: profile.name,
+            exportedAt: new Date().toISOString(),
+            data: data
+        };
+    }
+
+    exportAll() {
+        // One file for a whole classroom machine
+        return {
+            format: ProfileStore.FORMAT,
+            version: ProfileStore.VERSION,
+            exportedAt: new Date().toISOString(),
+            profiles: this.profiles.map(profile => this.exportProfile(profile.id))
+        };
+    }
+
+    importData(exported) {
+        // Accepts a single profile or a whole export; returns the new profiles
+        if (!exported || exported.format !== ProfileStore.FORMAT) {
+            throw new Error('This file is not a vimfun profile export');
+        }
+        if (exported.version > ProfileStore.VERSION) {
+            throw new Error('This file was exported by a newer version of vimfun');
+        }
+        const entries = Array.isArray(exported.profiles) ? exported.profiles : [exported];
+        entries.forEach(entry => {
+            if (!entry || typeof entry.data !== 'object' || entry.data === null) {
+                throw new Error('This file has a profile without any data');
+            }
+        });
+        return entries.map(entry => this.importProfile(entry));
+    }
+
+    importProfile(entry) {
+        // Imports never overwrite: a clashing name gets a number
+        const base = String(entry.name || ProfileStore.DEFAULT_NAME).trim() || ProfileStore.DEFAULT_NAME;
+        let name = base;
+        for (let n = 2; this.isNameTaken(name); n++) {
+            name = `${base} (${n})`;
+        }
+
+        const profile = this.create(name);
+        Object.entries(entry.data)
+            .filter(([dataName]) => ProfileStore.DATA.includes(dataName))
+            .forEach(([dataName, value]) => {
+                this.storage.setItem(this.key(dataName, profile.id), JSON.stringify(value));
+            });
+        return profile;
+    }
+
+    static newProfile(name) {
+        return {
+            id: `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: name,
+            createdAt: Date.now()
+        };
+    }
+}
+
+ProfileStore.INDEX_KEY = 'vim-game-profiles';
+// Everything saved per profile
+ProfileStore.DATA = ['progress', 'settings', 'replays', 'speedruns'];
+ProfileStore.DEFAULT_NAME = 'Default';
+ProfileStore.FORMAT = 'vimfun-profile';
+ProfileStore.VERSION = 1;
@@ -0,0 +1,128 @@
+// Spaced-repetition schedule for completed exercises (an SM-2 variant). Each
+// completion is graded from how it went: keystrokes over par, time taken,
+// resets, hints revealed and whether the learner needed the optimal-command
+// hint. Good grades push the next review further out; poor ones bring the
+// exercise back tomorrow.
+class ReviewScheduler {
+    constructor(state = {}) {
+        // One card per exercise path
+        this.cards = state.cards || {};
+        // The day's queue is fixed once built so it doesn't shift mid-session
+        this.queueDate = state.queueDate || null;
+        this.queue = state.queue || [];
+    }
+
+    static grade(record) {
+        // 5 = effortless, 0 = struggled; below 3 counts as a lapse
+        let grade = 5;
+
+        if (record.par && record.keystrokes) {
+            const ratio = record.keystrokes / record.par;
+            if (ratio > 2) grade -= 2;
+            else if (ratio > 1.25) grade -= 1;
+        }
+        if (record.durationMs > ReviewScheduler.SLOW_MS) grade -= 1;
+        grade -= Math.min(2, record.resets || 0);
+        if (record.usedAcceptedSolution === false) grade -= 1;
+        grade -= ReviewScheduler.HINT_COST[record.hintLevel] || 0;
+
+        return Math.max(0, Math.min(5, grade));
+    }
+
+    schedule(path, record, today = ReviewScheduler.today()) {
+        const grade = ReviewScheduler.grade(record);
+        const card = this.cards[path] || { interval: 0, ease: ReviewScheduler.START_EASE, reps: 0, lapses: 0 };
+
+        if (grade < 3) {
+            card.reps = 0;
+            card.interval = 1;
+            card.lapses++;
+        } else {
+            card.reps++;
+            card.interval = card.reps === 1 ? 1
+                : card.reps === 2 ? 3
+                    : Math.round(card.interval * card.ease);
+        }
+        const miss = 5 - grade;
+        card.ease = Math.max(ReviewScheduler.MIN_EASE, card.ease + 0.1 - miss * (0.08 + miss * 0.02));
+        card.lastGrade = grade;
+        card.lastReviewed = today;
+        card.due = ReviewScheduler.addDays(today, card.interval);
+
+        this.cards[path] = card;
+        this.queue = this.queue.filter(queued => queued !== path);
+        return card;
+    }
+
+    addCard(path, today = ReviewScheduler.today()) {
+        // A completed exercise with no history yet: review it today
+        this.cards[path] = {
+            interval: 1,
+            ease: ReviewScheduler.START_EASE,
+            reps: 1,
+            lapses: 0,
+            due: today
+        };
+    }
+
+    dailyQueue(knownPaths, today = ReviewScheduler.today()) {
+        if (this.queueDate !== today) {
+            this.queue = this.buildQueue(today);
+            this.queueDate = today;
+        }
+        // Exercises can disappear when chapters change
+        this.queue = this.queue.filter(path => knownPaths.includes(path));
+        return this.queue;
+    }
+
+    buildQueue(today) {
+        // Most overdue (then hardest) first, one chapter at a time in turn
+        const due = Object.entries(this.cards)
+            .filter(([, card]) => card.due <= today)
+            .sort(([, a], [, b]) => a.due.localeCompare(b.due) || a.ease - b.ease)
+            .map(([path]) => path);
+
+        const byChapter = new Map();
+        due.forEach(path => {
+            const chapter = path.split('/').slice(0, -1).join('/');
+            if (!byChapter.has(chapter)) byChapter.set(chapter, []);
+            byChapter.get(chapter).push(path);
+        });
+
+        const queue = [];
+        const lists = Array.from(byChapter.values());
+        while (queue.length < ReviewScheduler.DAILY_LIMIT && lists.some(list => list.length > 0)) {
+            lists.forEach(list => {
+                if (list.length > 0 && queue.length < ReviewScheduler.DAILY_LIMIT) {
+                    queue.push(list.shift());
+                }
+            });
+        }
+        return queue;
+    }
+
+    toJSON() {
+        return { cards: this.cards, queueDate: this.queueDate, queue: this.queue };
+    }
+
+    static today(date = new Date()) {
+        // Local calendar day, so "due today" follows the learner's clock
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static addDays(day, days) {
+        const [year, month, date] = day.split('-').map(Number);
+        return ReviewScheduler.today(new Date(year, month - 1, date + days));
+    }
+}
+
+ReviewScheduler.DAILY_LIMIT = 10;
+ReviewScheduler.START_EASE = 2.5;
+ReviewScheduler.MIN_EASE = 1.3;
+// Completions slower than this lose a grade point
+ReviewScheduler.SLOW_MS = 60000;
+// Grade points lost for the deepest hint tier revealed; seeing the solution
+// always makes it a lapse
+ReviewScheduler.HINT_COST = { nudge: 1, keys: 2, solution: 3 };
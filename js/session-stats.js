@@ -0,0 +1,75 @@
+class SessionStats {
+    constructor() {
+        // One record per completed attempt, in completion order
+        this.records = [];
+        this.sessionStart = Date.now();
+    }
+
+    recordCompletion(record) {
+        const entry = {
+            path: record.path,
+            title: record.title,
+            chapterId: record.chapterId,
+            keystrokes: record.keystrokes,
+            par: record.par || null,
+            durationMs: record.durationMs,
+            resets: record.resets || 0,
+            usedAcceptedSolution: record.usedAcceptedSolution !== false,
+            keys: record.keys || [],
+            efficiency: SessionStats.efficiency(record.par, record.keystrokes),
+            completedAt: Date.now()
+        };
+        this.records.push(entry);
+        return entry;
+    }
+
+    getSessionSummary() {
+        return this.summarize(this.records);
+    }
+
+    getChapterSummary(chapterId) {
+        // Only the latest attempt per exercise counts towards a chapter
+        const latest = new Map();
+        this.records
+            .filter(record => record.chapterId === chapterId)
+            .forEach(record => latest.set(record.path, record));
+        const records = Array.from(latest.values());
+
+        return {
+            ...this.summarize(records),
+            exercises: records
+        };
+    }
+
+    summarize(records) {
+        const scored = records.filter(record => record.par);
+        const parTotal = scored.reduce((sum, record) => sum + record.par, 0);
+        const scoredKeystrokes = scored.reduce((sum, record) => sum + record.keystrokes, 0);
+
+        return {
+            completed: records.length,
+            keystrokes: records.reduce((sum, record) => sum + record.keystrokes, 0),
+            scoredKeystrokes: scoredKeystrokes,
+            par: parTotal,
+            efficiency: scored.length > 0 ? SessionStats.efficiency(parTotal, scoredKeystrokes) : null,
+            durationMs: records.reduce((sum, record) => sum + record.durationMs, 0),
+            resets: records.reduce((sum, record) => sum + record.resets, 0)
+        };
+    }
+
+    static efficiency(par, keystrokes) {
+        // Optimal vs actual keystrokes as a percentage; beating par caps at 100%
+        if (!par || !keystrokes) return null;
+        return Math.min(100, Math.round((par / keystrokes) * 100));
+    }
+
+    static formatDuration(ms) {
+        const totalSeconds = Math.round(ms / 1000);
+        if (totalSeconds < 60) {
+            return `${(ms / 1000).toFixed(1)}s`;
+        }
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return `${minutes}:${seconds}`;
+    }
+}
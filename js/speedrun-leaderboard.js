@@ -0,0 +1,34 @@
+// Local speedrun leaderboard: the fastest finished runs of each chapter,
+// fastest first. The fastest run's splits are the personal best a new run
+// is compared against.
+class SpeedrunLeaderboard {
+    constructor(state = {}) {
+        // Runs per chapter id
+        this.chapters = state.chapters || {};
+    }
+
+    add(run) {
+        const runs = this.runs(run.chapterId);
+        runs.push(run);
+        runs.sort((a, b) => a.totalMs - b.totalMs || a.finishedAt - b.finishedAt);
+        this.chapters[run.chapterId] = runs.slice(0, SpeedrunLeaderboard.SIZE);
+
+        // 1-based rank, or null if the run didn't make the board
+        const rank = this.chapters[run.chapterId].indexOf(run) + 1;
+        return rank > 0 ? rank : null;
+    }
+
+    runs(chapterId) {
+        return this.chapters[chapterId] || [];
+    }
+
+    personalBest(chapterId) {
+        return this.runs(chapterId)[0] || null;
+    }
+
+    toJSON() {
+        return { chapters: this.chapters };
+    }
+}
+
+SpeedrunLeaderboard.SIZE = 10;
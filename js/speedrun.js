@@ -0,0 +1,97 @@
+// A timed run through every exercise of a chapter. The clock only runs while
+// an exercise is on screen, so the pause between exercises doesn't count, and
+// each split adds a time penalty for solving it less efficiently than par or
+// with hints.
+class Speedrun {
+    constructor(chapter, personalBest = null) {
+        this.chapterId = chapter.id;
+        this.exerciseCount = chapter.exercises.length;
+        // Splits of the fastest earlier run, to compare against as we go
+        this.personalBest = personalBest;
+        this.splits = [];
+        this.exerciseStart = null;
+    }
+
+    static penalty(record) {
+        // Every keystroke over par costs time, and so do missing every
+        // accepted solution and asking for hints
+        const extraKeys = record.par ? Math.max(0, record.keystrokes - record.par) : 0;
+        const offSolution = record.usedAcceptedSolution === false ? Speedrun.OFF_SOLUTION_PENALTY_MS : 0;
+        const hints = Speedrun.HINT_PENALTY_MS[record.hintLevel] || 0;
+        return extraKeys * Speedrun.EXTRA_KEY_PENALTY_MS + offSolution + hints;
+    }
+
+    get finished() {
+        return this.splits.length >= this.exerciseCount;
+    }
+
+    get totalMs() {
+        return this.splits.reduce((total, split) => total + split.timeMs + split.penaltyMs, 0);
+    }
+
+    get penaltyMs() {
+        return this.splits.reduce((total, split) => total + split.penaltyMs, 0);
+    }
+
+    startExercise(now = Date.now()) {
+        this.exerciseStart = now;
+    }
+
+    elapsed(now = Date.now()) {
+        // Finished splits plus the exercise on screen, if its clock is running
+        const running = this.exerciseStart === null ? 0 : now - this.exerciseStart;
+        return this.totalMs + running;
+    }
+
+    recordSplit(record, now = Date.now()) {
+        const split = {
+            path: record.path,
+            title: record.title,
+            keystrokes: record.keystrokes,
+            par: record.par || null,
+            hintLevel: record.hintLevel || 'none',
+            timeMs: now - this.exerciseStart,
+            penaltyMs: Speedrun.penalty(record)
+        };
+        this.exerciseStart = null;
+        this.splits.push(split);
+        split.totalMs = this.totalMs;
+        split.deltaMs = this.deltaAt(this.splits.length - 1);
+        return split;
+    }
+
+    deltaAt(index) {
+        // Ahead (negative) or behind (positive) the personal best at this split
+        const best = this.personalBest && this.personalBest.splits[index];
+        const split = this.splits[index];
+        return best && split ? split.totalMs - best.totalMs : null;
+    }
+
+    result(now = Date.now()) {
+        return {
+            chapterId: this.chapterId,
+            totalMs: this.totalMs,
+            penaltyMs: this.penaltyMs,
+            splits: this.splits,
+            finishedAt: now
+        };
+    }
+
+    static formatTime(ms) {
+        // 1:02.3, or 12.3s under a minute
+        const tenths = Math.floor(ms / 100);
+        const minutes = Math.floor(tenths / 600);
+        const seconds = ((tenths % 600) / 10).toFixed(1);
+        return minutes > 0 ? `${minutes}:${seconds.padStart(4, '0')}` : `${seconds}s`;
+    }
+
+    static formatDelta(ms) {
+        return `${ms > 0 ? '+' : ms < 0 ? '−' : '±'}${Speedrun.formatTime(Math.abs(ms))}`;
+    }
+}
+
+Speedrun.EXTRA_KEY_PENALTY_MS = 1000;
+Speedrun.OFF_SOLUTION_PENALTY_MS = 5000;
+// By the deepest hint tier reached; seeing the solution costs more than
+// solving it off par could save
+Speedrun.HINT_PENALTY_MS = { none: 0, nudge: 5000, keys: 10000, solution: 30000 };
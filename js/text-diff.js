@@ -0,0 +1,114 @@
+// Character-level diff between the learner's text and the exercise's end text.
+// Produces runs of `equal`, `extra` (typed but not wanted), `missing` (wanted
+// but not typed) and `changed` (an extra run replacing a missing one), with
+// offsets into the actual text so the editor can mark them in place.
+class TextDiff {
+    static diff(actual, expected) {
+        // Trim shared prefix and suffix first; exercises usually differ in one spot
+        let prefix = 0;
+        while (prefix < actual.length && prefix < expected.length && actual[prefix] === expected[prefix]) {
+            prefix++;
+        }
+        let suffix = 0;
+        while (suffix < actual.length - prefix && suffix < expected.length - prefix &&
+            actual[actual.length - 1 - suffix] === expected[expected.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const a = actual.slice(prefix, actual.length - suffix);
+        const b = expected.slice(prefix, expected.length - suffix);
+        const edits = a.length * b.length > TextDiff.MAX_CELLS
+            ? [{ type: 'extra', text: a }, { type: 'missing', text: b }]
+            : TextDiff.editScript(a, b);
+
+        const runs = [];
+        if (prefix > 0) runs.push({ type: 'equal', text: actual.slice(0, prefix) });
+        edits.forEach(edit => TextDiff.appendRun(runs, edit));
+        if (suffix > 0) runs.push({ type: 'equal', text: actual.slice(actual.length - suffix) });
+
+        return TextDiff.withOffsets(TextDiff.pairChanges(runs));
+    }
+
+    static editScript(a, b) {
+        // Longest common subsequence table, filled from the end
+        const width = b.length + 1;
+        const table = new Uint16Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i * width + j] = a[i] === b[j]
+                    ? table[(i + 1) * width + j + 1] + 1
+                    : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+            }
+        }
+
+        const edits = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                edits.push({ type: 'equal', text: a[i] });
+                i++;
+                j++;
+            } else if (j < b.length && (i === a.length || table[i * width + j + 1] >= table[(i + 1) * width + j])) {
+                edits.push({ type: 'missing', text: b[j] });
+                j++;
+            } else {
+                edits.push({ type: 'extra', text: a[i] });
+                i++;
+            }
+        }
+        return edits;
+    }
+
+    static appendRun(runs, edit) {
+        const last = runs[runs.length - 1];
+        if (last && last.type === edit.type) {
+            last.text += edit.text;
+        } else if (edit.text) {
+            runs.push({ type: edit.type, text: edit.text });
+        }
+    }
+
+    static pairChanges(runs) {
+        // An extra run next to a missing run reads better as one change
+        const paired = [];
+        for (let i = 0; i < runs.length; i++) {
+            const run = runs[i];
+            const next = runs[i + 1];
+            if (next && ((run.type === 'extra' && next.type === 'missing') || (run.type === 'missing' && next.type === 'extra'))) {
+                const extra = run.type === 'extra' ? run : next;
+                const missing = run.type === 'missing' ? run : next;
+                paired.push({ type: 'changed', text: extra.text, expected: missing.text });
+                i++;
+            } else {
+                paired.push(run);
+            }
+        }
+        return paired;
+    }
+
+    static withOffsets(runs) {
+        // `from`/`to` index into the actual text; missing runs are zero-width
+        let offset = 0;
+        return runs.map(run => {
+            const from = offset;
+            if (run.type !== 'missing') offset += run.text.length;
+            return { ...run, from, to: offset };
+        });
+    }
+
+    static summarize(runs) {
+        const counts = { extra: 0, missing: 0, changed: 0 };
+        runs
+            .filter(run => run.type !== 'equal')
+            .forEach(run => { counts[run.type] += run.text.length; });
+        return counts;
+    }
+}
+
+// Above this many LCS cells the diff falls back to one changed region
+TextDiff.MAX_CELLS = 1000000;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+}
@@ -0,0 +1,77 @@
+// Decides whether the learner's text counts as an exercise's end text, under
+// the exercise's `compare` policy. `exact` (the default) wants the End text
+// character for character; `ignore-trailing-whitespace` and
+// `ignore-blank-lines` can be combined; `regex` reads each End text as a
+// pattern for the whole buffer. An exercise with several End sections accepts
+// any of them.
+class TextMatcher {
+    static policy(value = 'exact') {
+        // The exercise keeps the options as a list; exact is the empty list
+        const options = [].concat(value).filter(option => option !== 'exact');
+        const unknown = options.find(option => !TextMatcher.OPTIONS.includes(option));
+        if (unknown !== undefined) {
+            throw new Error(`compare must be exact or one of ${TextMatcher.OPTIONS.join(', ')}, not "${unknown}"`);
+        }
+        if (options.includes('regex') && options.length > 1) {
+            throw new Error('compare: regex cannot be combined with other options');
+        }
+        return options.filter((option, index) => options.indexOf(option) === index);
+    }
+
+    static pattern(text) {
+        try {
+            return new RegExp(`^(?:${text})$`);
+        } catch (e) {
+            throw new Error(`End is not a valid regular expression: ${e.message}`);
+        }
+    }
+
+    static matches(actual, exercise) {
+        const compare = exercise.compare || [];
+        return exercise.endTexts.some(expected => compare.includes('regex')
+            ? TextMatcher.pattern(expected).test(actual)
+            : TextMatcher.target(actual, expected, compare) === actual);
+    }
+
+    static target(actual, expected, compare = []) {
+        // The End text with every difference the policy ignores copied over
+        // from the learner's text, so what's left to diff is what counts
+        let target = expected;
+        if (compare.includes('ignore-blank-lines')) {
+            target = TextMatcher.alignBlankLines(actual, target);
+        }
+        if (compare.includes('ignore-trailing-whitespace')) {
+            target = TextMatcher.alignTrailingWhitespace(actual, target);
+        }
+        return target;
+    }
+
+    static alignBlankLines(actual, expected) {
+        // Blank lines stay wherever the learner has them; the End text's
+        // other lines fill in around them, in order
+        const wanted = expected.split('\n').filter(line => line.trim() !== '');
+        const lines = [];
+        actual.split('\n').forEach(line => {
+            if (line.trim() === '') {
+                lines.push(line);
+            } else if (wanted.length > 0) {
+                lines.push(wanted.shift());
+            }
+        });
+        return lines.concat(wanted).join('\n');
+    }
+
+    static alignTrailingWhitespace(actual, expected) {
+        const actualLines = actual.split('\n');
+        return expected.split('\n').map((line, index) => {
+            const trailing = /[ \t]*$/.exec(actualLines[index] || '')[0];
+            return line.replace(/[ \t]+$/, '') + trailing;
+        }).join('\n');
+    }
+}
+
+TextMatcher.OPTIONS = ['ignore-trailing-whitespace', 'ignore-blank-lines', 'regex'];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextMatcher;
+}
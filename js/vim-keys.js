@@ -0,0 +1,45 @@
+// Exercise files name keys the way the browser reports them (KeyboardEvent.key),
+// while the vim keymap and its events use vim notation (<Esc>, <Left>, ...)
+class VimKeys {
+    static toVim(key) {
+        // Control chords are named "Ctrl-v" in allowed_keys and <C-v> in vim
+        const control = /^Ctrl-(.)$/.exec(key);
+        if (control) return `<C-${control[1]}>`;
+        return VimKeys.NAMES[key] || key;
+    }
+
+    static fromVim(key) {
+        // The other way round, for keys recorded from vim events
+        const control = /^<C-(.)>$/.exec(key);
+        if (control) return `Ctrl-${control[1]}`;
+        const name = Object.keys(VimKeys.NAMES).find(browserKey => VimKeys.NAMES[browserKey] === key);
+        return name || key;
+    }
+
+    static split(sequence) {
+        // "3x" -> ["3", "x"], "d<Esc>" -> ["d", "<Esc>"]; named keys stay whole
+        if (VimKeys.NAMES[sequence]) return [sequence];
+        return String(sequence).match(/Ctrl-.|<[^>]+>|./g) || [];
+    }
+
+    static join(keys) {
+        return keys.map(key => VimKeys.toVim(key)).join('');
+    }
+}
+
+VimKeys.NAMES = {
+    'Escape': '<Esc>',
+    'Enter': '<CR>',
+    'Backspace': '<BS>',
+    'Delete': '<Del>',
+    'Tab': '<Tab>',
+    'ArrowLeft': '<Left>',
+    'ArrowRight': '<Right>',
+    'ArrowUp': '<Up>',
+    'ArrowDown': '<Down>'
+};
+
+// Allow Node tooling (tools/validate-exercises.js) to reuse the key names
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VimKeys;
+}
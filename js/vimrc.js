@@ -0,0 +1,333 @@
+// A learner's vimrc, in the subset of vimrc syntax the game understands:
+// map, noremap and their n, v/x and i forms, `set` for the options below and
+// `let mapleader`. Lines that can't be used are reported with their line
+// number and skipped, so one typo doesn't lose the rest of the file.
+//
+// CodeMirror keeps one vim keymap for every editor on the page, so only one
+// vimrc is applied at a time (Vimrc.applied). CodeMirror also has no real
+// noremap and runs a built-in command at once even when a mapping starts with
+// it (, or <Space> as a leader); install() adds both on top of its findKey.
+class Vimrc {
+    constructor(text = '') {
+        this.text = text;
+        this.leader = '\\';
+        this.mappings = [];
+        this.options = {};
+        this.errors = [];
+
+        text.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+            try {
+                this.readLine(line.trim().replace(/^:+\s*/, ''), index + 1);
+            } catch (e) {
+                this.errors.push({ line: index + 1, message: e.message });
+            }
+        });
+    }
+
+    readLine(line, number) {
+        if (line === '' || line.startsWith('"')) return;
+
+        const [, command, rest] = /^(\S+)\s*(.*)$/.exec(line);
+        if (Vimrc.MAP_COMMANDS[command]) {
+            this.readMapping(command, rest, number);
+        } else if (command === 'set' || command === 'se') {
+            this.readOptions(rest);
+        } else if (command === 'let') {
+            this.readLet(rest);
+        } else {
+            throw new Error(`${command} is not supported; use map, noremap, set or let mapleader`);
+        }
+    }
+
+    readMapping(command, rest, number) {
+        // <silent> and the like change nothing here
+        const args = rest.replace(/^(?:<(?:silent|nowait|unique|buffer|special)>\s*)+/i, '');
+        const match = /^(\S+)\s+(.+)$/.exec(args);
+        if (!match) {
+            throw new Error(`${command} needs the keys to map and what they map to`);
+        }
+
+        const lhs = this.keys(match[1]);
+        const rhs = this.keys(match[2].trim());
+        if (lhs[0] === ':') {
+            throw new Error('Ex commands can\'t be mapped, only keys');
+        }
+        // CodeMirror runs a mapping to :command straight away, so the <CR>
+        // that would submit it in vim is left out
+        const ex = rhs[0] === ':' && rhs.length > 1
+            ? rhs.slice(1, rhs[rhs.length - 1] === '<CR>' ? -1 : rhs.length).join('')
+            : null;
+
+        const { modes, noremap } = Vimrc.MAP_COMMANDS[command];
+        modes.forEach(mode => {
+            this.mappings.push({
+                line: number,
+                mode: mode,
+                lhs: lhs.join(''),
+                rhs: rhs.join(''),
+                ex: ex,
+                noremap: noremap
+            });
+        });
+    }
+
+    readOptions(rest) {
+        if (!rest) throw new Error('set needs an option, e.g. set nonumber');
+
+        rest.split(/\s+/).forEach(word => {
+            const match = /^(no)?([a-z]+)(?:[=:](.*))?$/.exec(word);
+            const name = match && Vimrc.optionName(match[2]);
+            if (!name) {
+                throw new Error(`set ${word}: the options that can be set are ${Object.keys(Vimrc.OPTIONS).join(', ')}`);
+            }
+
+            const [, negated, , value] = match;
+            if (Vimrc.OPTIONS[name].type === 'boolean') {
+                if (value !== undefined) throw new Error(`set ${word}: ${name} is on or off, e.g. set no${name}`);
+                this.options[name] = !negated;
+            } else {
+                if (negated || !/^\d+$/.test(value || '')) throw new Error(`set ${word}: ${name} needs a number, e.g. set ${name}=500`);
+                this.options[name] = Number(value);
+            }
+        });
+    }
+
+    readLet(rest) {
+        const match = /^(?:g:)?mapleader\s*=\s*(["'])(.*)\1$/.exec(rest);
+        if (!match) throw new Error('Only let mapleader = "..." is supported');
+
+        // "\<Space>" is how vim scripts write a named key in a string
+        const leader = this.keys(match[2].replace(/\\</g, '<'));
+        if (leader.length !== 1) throw new Error('mapleader must be a single key');
+        this.leader = leader[0];
+    }
+
+    keys(text) {
+        // Vim key notation, case-insensitive as in vim, in the form the
+        // vim keymap uses: <esc> -> <Esc>, <c-W> -> <C-w>, " " -> <Space>
+        return (text.match(/<[^<>\s]+>|[\s\S]/g) || []).map(token => {
+            if (token === ' ') return '<Space>';
+            if (token.length === 1) return token;
+
+            const name = token.slice(1, -1).toLowerCase();
+            const control = /^c-(.)$/.exec(name);
+            if (control) return `<C-${control[1]}>`;
+            if (name === 'leader') return this.leader;
+            if (Vimrc.KEY_NAMES[name]) return Vimrc.KEY_NAMES[name];
+            throw new Error(`${token} is not a key the game knows`);
+        });
+    }
+
+    option(name) {
+        return name in this.options ? this.options[name] : Vimrc.OPTIONS[name].default;
+    }
+
+    apply() {
+        // Replaces whatever vimrc was applied before
+        Vimrc.install();
+        Vimrc.clear();
+        this.mappings.forEach(mapping => {
+            const rhs = mapping.ex !== null ? `:${mapping.ex}` : mapping.rhs;
+            CodeMirror.Vim.map(mapping.lhs, rhs, mapping.mode);
+        });
+        Vimrc.applied = this;
+    }
+
+    firing(cm, key) {
+        // The mapping vim runs for this key, if any, matched the way vim
+        // matches it: its pending keys plus this one
+        const vim = cm.state.vim;
+        if (!vim) return null;
+
+        const mode = Vimrc.modeOf(vim);
+        if (key === '<Esc>' && mode !== 'normal') return null;
+        const macro = CodeMirror.Vim.getVimGlobalState_().macroModeState;
+        if (key === 'q' && mode !== 'insert' && macro.isRecording) return null;
+
+        // Insert mode tries every ending of its pending keys; elsewhere a
+        // count may come first. The latest mapping of some keys wins.
+        const keys = vim.inputState.keyBuffer + key;
+        const typed = mode === 'insert' ? keys : Vimrc.withoutCount(keys);
+        return this.mappings.filter(mapping => mapping.mode === mode).reverse().find(mapping =>
+            mode === 'insert' ? typed.endsWith(mapping.lhs) : typed === mapping.lhs) || null;
+    }
+
+    pending(cm, key) {
+        // Whether this key, after the pending ones, starts a longer mapping
+        const vim = cm.state.vim;
+        if (!vim || vim.insertMode) return false;
+
+        const mode = Vimrc.modeOf(vim);
+        const typed = Vimrc.withoutCount(vim.inputState.keyBuffer + key);
+        return typed !== '' && this.mappings.some(mapping =>
+            mapping.mode === mode && mapping.lhs !== typed && mapping.lhs.startsWith(typed));
+    }
+
+    held(cm) {
+        // Keys kept pending in case they start a mapping
+        return cm.state.vimrcHeld || [];
+    }
+
+    release(cm) {
+        // Give up on the held keys, as when the key after them is blocked
+        const vim = cm.state.vim;
+        const heldText = this.held(cm).join('');
+        if (vim && heldText && vim.inputState.keyBuffer.endsWith(heldText)) {
+            vim.inputState.keyBuffer = vim.inputState.keyBuffer.slice(0, -heldText.length);
+        }
+        cm.state.vimrcHeld = [];
+    }
+
+    route(cm, key, findKey) {
+        // Where install() sends every key typed while this vimrc is applied
+        const vim = cm.state.vim;
+        if (!vim) return findKey(key);
+        const held = this.held(cm);
+        cm.state.vimrcHeld = [];
+
+        const mapping = this.firing(cm, key);
+        if (mapping) {
+            const command = findKey(key);
+            if (typeof command !== 'function') return command;
+            return () => {
+                CodeMirror.signal(cm, 'vimrc-mapping', mapping);
+                // A noremap's keys are typed with the mappings lifted
+                return mapping.noremap ? Vimrc.withoutMappings(command) : command();
+            };
+        }
+
+        if (this.pending(cm, key)) {
+            // Keep the key pending, like vim does while it waits to see
+            // whether the mapping is being typed
+            cm.state.vimrcHeld = held.concat(key);
+            vim.inputState.keyBuffer += key;
+            return () => true;
+        }
+
+        // Vim may have dropped the held keys since (a mode change, say)
+        const heldText = held.join('');
+        if (held.length === 0 || !vim.inputState.keyBuffer.endsWith(heldText)) return findKey(key);
+
+        // Escape gives up on the mapping; any other key shows it wasn't one,
+        // so the held keys run as they would have
+        vim.inputState.keyBuffer = vim.inputState.keyBuffer.slice(0, -heldText.length);
+        if (key === '<Esc>') return findKey(key);
+        return () => {
+            held.concat(key).forEach(heldKey => {
+                const command = findKey(heldKey);
+                if (typeof command === 'function') command();
+            });
+            return true;
+        };
+    }
+
+    static install() {
+        if (Vimrc.installed) return;
+        Vimrc.installed = true;
+
+        // Keys reach vim through findKey: typed ones with no origin, a
+        // mapping's own keys with origin 'mapping'
+        const vimApi = CodeMirror.Vim;
+        const findKey = vimApi.findKey;
+        vimApi.findKey = function(cm, key, origin) {
+            const find = typed => findKey.call(vimApi, cm, typed, origin);
+            if (!Vimrc.applied || origin === 'mapping') return find(key);
+            return Vimrc.applied.route(cm, key, find);
+        };
+    }
+
+    static clear() {
+        if (Vimrc.applied) CodeMirror.Vim.mapclear();
+        Vimrc.applied = null;
+    }
+
+    static withoutMappings(action) {
+        // Replays and noremaps type keys that no mapping may take over
+        const applied = Vimrc.applied;
+        if (!applied) return action();
+        Vimrc.clear();
+        try {
+            return action();
+        } finally {
+            applied.apply();
+        }
+    }
+
+    static expansion(mapping) {
+        // The keys a mapping stands for, as they would be typed by hand
+        return mapping.ex !== null
+            ? [':', ...VimKeys.split(mapping.ex), '<CR>']
+            : VimKeys.split(mapping.rhs);
+    }
+
+    static modeOf(vim) {
+        if (vim.insertMode) return 'insert';
+        return vim.visualMode ? 'visual' : 'normal';
+    }
+
+    static withoutCount(keys) {
+        // "3,w" -> ",w"; a lone 0 is a motion, not a count
+        if (/^[1-9]\d*$/.test(keys)) return '';
+        const match = /^(\d*)(.*)$/.exec(keys);
+        return match[2] || match[1];
+    }
+
+    static optionName(name) {
+        return Object.keys(Vimrc.OPTIONS).find(option =>
+            option === name || Vimrc.OPTIONS[option].aliases.includes(name)) || null;
+    }
+
+    static toVim(key) {
+        // Browser key names to vim notation, with the space bar as vim names it
+        return key === ' ' ? '<Space>' : VimKeys.toVim(key);
+    }
+
+    static fromVim(key) {
+        return key === '<Space>' ? ' ' : VimKeys.fromVim(key);
+    }
+}
+
+// Modes each map command applies to, and whether it remaps its keys
+Vimrc.MAP_COMMANDS = {
+    map: { modes: ['normal', 'visual'], noremap: false },
+    noremap: { modes: ['normal', 'visual'], noremap: true },
+    nmap: { modes: ['normal'], noremap: false },
+    nnoremap: { modes: ['normal'], noremap: true },
+    vmap: { modes: ['visual'], noremap: false },
+    vnoremap: { modes: ['visual'], noremap: true },
+    xmap: { modes: ['visual'], noremap: false },
+    xnoremap: { modes: ['visual'], noremap: true },
+    imap: { modes: ['insert'], noremap: false },
+    inoremap: { modes: ['insert'], noremap: true }
+};
+
+// Options `set` understands. timeoutlen is how long an insert-mode mapping
+// such as jk waits for its next key.
+Vimrc.OPTIONS = {
+    number: { type: 'boolean', aliases: ['nu'], default: true },
+    wrap: { type: 'boolean', aliases: [], default: true },
+    timeoutlen: { type: 'number', aliases: ['tm'], default: 200 }
+};
+
+// Named keys, lowercased, in the vim keymap's spelling
+Vimrc.KEY_NAMES = {
+    esc: '<Esc>',
+    cr: '<CR>',
+    enter: '<CR>',
+    return: '<CR>',
+    space: '<Space>',
+    tab: '<Tab>',
+    bs: '<BS>',
+    del: '<Del>',
+    left: '<Left>',
+    right: '<Right>',
+    up: '<Up>',
+    down: '<Down>',
+    lt: '<',
+    bar: '|',
+    bslash: '\\'
+};
+
+// The vimrc whose mappings are in CodeMirror's keymap
+Vimrc.applied = null;
+Vimrc.installed = false;
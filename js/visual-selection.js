@@ -0,0 +1,57 @@
+// Reads the active vim visual selection and compares it with an exercise's
+// target selection. Positions are vim-style: `to` is the last selected
+// character, not the position after it.
+class VisualSelection {
+    static read(cm) {
+        const vim = cm.state.vim;
+        if (!vim || !vim.visualMode) return null;
+
+        const { anchor, head } = vim.sel;
+        const mode = vim.visualBlock ? 'blockwise' : vim.visualLine ? 'linewise' : 'characterwise';
+
+        if (mode === 'blockwise') {
+            // A block spans the lines and the columns between anchor and head
+            return {
+                mode: mode,
+                from: { line: Math.min(anchor.line, head.line), ch: Math.min(anchor.ch, head.ch) },
+                to: { line: Math.max(anchor.line, head.line), ch: Math.max(anchor.ch, head.ch) }
+            };
+        }
+
+        const anchorFirst = anchor.line < head.line || (anchor.line === head.line && anchor.ch <= head.ch);
+        return {
+            mode: mode,
+            from: { line: (anchorFirst ? anchor : head).line, ch: (anchorFirst ? anchor : head).ch },
+            to: { line: (anchorFirst ? head : anchor).line, ch: (anchorFirst ? head : anchor).ch }
+        };
+    }
+
+    static matches(selection, target) {
+        if (!selection || selection.mode !== target.mode) return false;
+
+        // Linewise selections cover whole lines wherever the cursor sits
+        if (target.mode === 'linewise') {
+            return selection.from.line === target.from.line && selection.to.line === target.to.line;
+        }
+
+        return selection.from.line === target.from.line && selection.from.ch === target.from.ch &&
+            selection.to.line === target.to.line && selection.to.ch === target.to.ch;
+    }
+
+    static describe(target) {
+        const lines = target.from.line === target.to.line
+            ? `line ${target.from.line + 1}`
+            : `lines ${target.from.line + 1}-${target.to.line + 1}`;
+        if (target.mode === 'linewise') return `${lines} with V`;
+
+        const columns = `columns ${target.from.ch + 1}-${target.to.ch + 1}`;
+        if (target.mode === 'blockwise') return `${columns} of ${lines} with Ctrl-v`;
+        if (target.from.line === target.to.line) return `${columns} of ${lines} with v`;
+        return `from line ${target.from.line + 1}, column ${target.from.ch + 1} ` +
+            `to line ${target.to.line + 1}, column ${target.to.ch + 1} with v`;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisualSelection;
+}
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+// Checks every exercise listed in exercises/index.yaml:
+//   - required frontmatter fields are present
+//   - the start text doesn't already count as the end text (under the
+//     exercise's compare policy), unless the exercise has a cursor, mode or
+//     selection goal instead
+//   - hint keys and solutions only use keys from allowed_keys (text typed in
+//     insert mode or into a : / ? prompt is not restricted)
+//   - solutions avoid every forbiddenSequences entry
+//   - replaying each solution (optimalKeySequence and every entry of
+//     `solutions`) in a headless CodeMirror vim editor turns the start
+//     text into the end text, leaving the cursor, mode and visual
+//     selection where the exercise asks
+//   - every solution uses the exercise's requiredCommand
+//   - par is reachable by at least one solution
+//   - for generated exercises, all of the above for a spread of seeds
+//
+// Usage (from the repository root):
+//   npm install --no-save jsdom codemirror@5 js-yaml
+//   node tools/validate-exercises.js
+//
+// Exits with status 1 when any exercise fails.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+const REQUIRED_FIELDS = ['title', 'instructions', 'allowed_keys', 'hint_keys'];
+// Generated exercises are checked with this many variants
+const GENERATED_SEEDS = 25;
+
+// CodeMirror and its vim keymap expect a browser, so give them a jsdom window
+const dom = new JSDOM('<!DOCTYPE html><body></body>', { pretendToBeVisual: true });
+global.window = dom.window;
+global.document = dom.window.document;
+global.navigator = dom.window.navigator;
+// CodeMirror refocuses the window when vim's prompt closes
+dom.window.focus = () => {};
+document.createRange = () => {
+    const range = new dom.window.Range();
+    range.getBoundingClientRect = () => ({ left: 0, right: 0, top: 0, bottom: 0 });
+    range.getClientRects = () => ({ length: 0 });
+    return range;
+};
+
+global.jsyaml = require('js-yaml');
+const CodeMirror = require('codemirror');
+require('codemirror/keymap/vim');
+const ExerciseLoader = require('../js/exercise-loader.js');
+const VimKeys = require('../js/vim-keys.js');
+global.VimKeys = VimKeys;
+global.ExerciseGenerator = require('../js/exercise-generator.js');
+global.ExerciseParser = require('../js/exercise-parser.js');
+const TextMatcher = require('../js/text-matcher.js');
+global.TextMatcher = TextMatcher;
+const CommandAssembler = require('../js/command-assembler.js');
+const VisualSelection = require('../js/visual-selection.js');
+const KeystrokeReplay = require('../js/keystroke-replay.js');
+global.KeyboardEvent = dom.window.KeyboardEvent;
+
+class FileExerciseLoader extends ExerciseLoader {
+    async fetchText(relativePath) {
+        const file = path.join(ROOT, relativePath);
+        if (!fs.existsSync(file)) {
+            throw new Error(`Could not read ${relativePath}`);
+        }
+        return fs.readFileSync(file, 'utf8');
+    }
+}
+
+function replay(exercise, solution) {
+    const cm = CodeMirror(document.body, {
+        value: exercise.startText,
+        keyMap: 'vim'
+    });
+    // jsdom has no layout, so vertical motions (j, k) would measure every
+    // line at height 0; move by logical lines instead, as nothing wraps here
+    const findPosV = cm.findPosV.bind(cm);
+    cm.findPosV = (from, amount, unit, goalColumn) => unit === 'line'
+        ? cm.clipPos(CodeMirror.Pos(from.line + amount, from.ch))
+        : findPosV(from, amount, unit, goalColumn);
+    cm.setCursor(exercise.startCursor);
+
+    // Remember what was submitted to vim's : / ? prompt
+    const prompts = [];
+    const openDialog = cm.openDialog.bind(cm);
+    cm.openDialog = (template, onSubmit, options) => {
+        const type = template.textContent.charAt(0);
+        return openDialog(template, (value, e) => {
+            prompts.push(CommandAssembler.parse([type, ...VimKeys.split(value), '<CR>']));
+            onSubmit(value, e);
+        }, options);
+    };
+
+    // Keys vim handled as commands, as opposed to text typed in insert mode
+    // or into the prompt
+    const commandKeys = [];
+
+    for (const key of solution) {
+        const vimKey = VimKeys.toVim(key);
+        const promptInput = cm.getWrapperElement().querySelector('.CodeMirror-dialog input');
+        if (promptInput) {
+            KeystrokeReplay.typeIntoPrompt(promptInput, vimKey);
+            continue;
+        }
+
+        const handled = CodeMirror.Vim.handleKey(cm, vimKey, 'user');
+        // Text typed in insert mode is not a vim command, so type it ourselves
+        if (!handled && cm.state.vim.insertMode && vimKey.length === 1) {
+            cm.replaceSelection(vimKey);
+        } else {
+            commandKeys.push(key);
+        }
+    }
+
+    const result = {
+        text: cm.getValue(),
+        cursor: cm.getCursor(),
+        mode: currentMode(cm),
+        selection: VisualSelection.read(cm),
+        prompts: prompts,
+        commandKeys: commandKeys
+    };
+    cm.getWrapperElement().remove();
+    return result;
+}
+
+function usesCommand(result, requirement) {
+    if (requirement.charAt(0) === ':' || CommandAssembler.PROMPT_KEYS.includes(requirement)) {
+        return result.prompts.some(parts => CommandAssembler.usesCommand(parts, requirement));
+    }
+    return result.commandKeys.includes(requirement);
+}
+
+function currentMode(cm) {
+    // Same names the game gets from vim-mode-change
+    const vim = cm.state.vim;
+    if (vim.insertMode) return cm.state.overwrite ? 'replace' : 'insert';
+    if (vim.visualMode) return 'visual';
+    return 'normal';
+}
+
+function validateExercise(exercise) {
+    const errors = [];
+    const warnings = [];
+
+    REQUIRED_FIELDS.forEach(field => {
+        if (exercise.frontmatter[field] === undefined) {
+            errors.push(`missing required field "${field}"`);
+        }
+    });
+
+    const hasGoal = exercise.endCursor || exercise.endMode || exercise.endSelection;
+    if (TextMatcher.matches(exercise.startText, exercise) && !hasGoal) {
+        errors.push('the start text already counts as the end text and there is no cursor, mode or selection goal');
+    }
+
+    const allowed = new Set(exercise.allowedKeys);
+    exercise.hintKeys.forEach(hint => {
+        // ":s/a/b/" only needs the ":" key; the rest is typed into the prompt
+        const keys = VimKeys.split(hint);
+        const restricted = CommandAssembler.PROMPT_KEYS.includes(keys[0]) ? keys.slice(0, 1) : keys;
+        const missing = restricted.filter(key => !allowed.has(key));
+        if (missing.length > 0) {
+            errors.push(`hint "${hint}" uses keys not in allowed_keys: ${missing.join(', ')}`);
+        }
+    });
+
+    if (exercise.solutions.length === 0) {
+        warnings.push('no optimalKeySequence or solutions, so the end state is not proven reachable');
+        return { errors, warnings };
+    }
+
+    exercise.solutions.forEach(solution => {
+        const label = JSON.stringify(VimKeys.join(solution));
+
+        const sequence = solution.join(' ');
+        exercise.forbiddenSequences.forEach(forbidden => {
+            if (` ${sequence} `.includes(` ${forbidden.join(' ')} `)) {
+                errors.push(`solution ${label} contains the forbidden sequence ${JSON.stringify(forbidden.join(''))}`);
+            }
+        });
+
+        try {
+            const result = replay(exercise, solution);
+
+            const outsideAllowed = result.commandKeys.filter(key => key !== 'Escape' && !allowed.has(key));
+            if (outsideAllowed.length > 0) {
+                errors.push(`solution ${label} uses keys not in allowed_keys: ${outsideAllowed.join(', ')}`);
+            }
+
+            exercise.requiredCommands
+                .filter(requirement => !usesCommand(result, requirement))
+                .forEach(requirement => errors.push(`solution ${label} does not use ${requirement}`));
+
+            // Same comparison the game uses in checkExerciseCompletion()
+            if (!TextMatcher.matches(result.text, exercise)) {
+                errors.push(`solution ${label} does not reach the end state; it leaves ${JSON.stringify(result.text)}`);
+            } else if (exercise.endCursor &&
+                (result.cursor.line !== exercise.endCursor.line || result.cursor.ch !== exercise.endCursor.ch)) {
+                errors.push(`solution ${label} leaves the cursor at ${result.cursor.line + 1}:${result.cursor.ch + 1}, ` +
+                    `not ${exercise.endCursor.line + 1}:${exercise.endCursor.ch + 1}`);
+            } else if (exercise.endSelection && !VisualSelection.matches(result.selection, exercise.endSelection)) {
+                errors.push(`solution ${label} does not select ${VisualSelection.describe(exercise.endSelection)}`);
+            } else if (exercise.endMode && result.mode !== exercise.endMode) {
+                errors.push(`solution ${label} ends in ${result.mode} mode, not ${exercise.endMode} mode`);
+            }
+        } catch (error) {
+            errors.push(`replaying solution ${label} threw: ${error.message}`);
+        }
+    });
+
+    const shortest = Math.min(...exercise.solutions.map(solution => solution.length));
+    if (exercise.par < shortest) {
+        errors.push(`par ${exercise.par} is below the shortest solution (${shortest} keystrokes)`);
+    }
+
+    return { errors, warnings };
+}
+
+function validateGenerated(loader, exercise) {
+    // Report each distinct problem once, with the first seed that shows it
+    const errors = new Map();
+    const warnings = new Set();
+
+    for (let seed = 1; seed <= GENERATED_SEEDS; seed++) {
+        let result;
+        try {
+            result = validateExercise(loader.generateVariant(exercise, seed));
+        } catch (error) {
+            result = { errors: [`could not generate: ${error.message}`], warnings: [] };
+        }
+        result.errors.forEach(message => {
+            if (!errors.has(message)) errors.set(message, `variant ${seed}: ${message}`);
+        });
+        result.warnings.forEach(message => warnings.add(message));
+    }
+
+    return { errors: Array.from(errors.values()), warnings: Array.from(warnings) };
+}
+
+async function main() {
+    const loader = new FileExerciseLoader();
+    await loader.loadChapters();
+
+    let failures = 0;
+
+    loader.loadErrors.forEach(error => {
+        failures++;
+        console.log(`✗ ${error.source}`);
+        console.log(`    error: ${error.message}`);
+    });
+
+    loader.chapters.forEach(chapter => {
+        chapter.exercises.forEach(exercise => {
+            const { errors, warnings } = exercise.template
+                ? validateGenerated(loader, exercise)
+                : validateExercise(exercise);
+            if (errors.length > 0) failures++;
+
+            console.log(`${errors.length > 0 ? '✗' : '✓'} ${exercise.path}`);
+            errors.forEach(message => console.log(`    error: ${message}`));
+            warnings.forEach(message => console.log(`    warning: ${message}`));
+        });
+    });
+
+    const total = loader.chapters.reduce((sum, chapter) => sum + chapter.exercises.length, 0);
+    console.log(`\n${total} exercises checked, ${failures} failing`);
+    process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});